@@ -10,6 +10,8 @@ class Error {
     }
 
     respond(res) {
+        // Read by the request metrics
+        res.locals.errorCode = this.code;
         res.status(this.statusCode).json(this.getJSON());
     }
 
@@ -31,6 +33,14 @@ module.exports = {
     NoBotsAvailable: new Error('No bots available to fulfill this request', 9, 500),
     RateLimit: new Error('Rate limit exceeded, too many requests', 10, 429),
     MaxQueueSize: new Error('Queue size is full, please try again later', 11, 500),
+    JobNotFound: new Error('Bulk job not found or its results have expired', 12, 404),
+    ItemNotFound: new Error('Item not found', 13, 404),
+    InvalidApiKey: new Error('Missing or invalid API key', 14, 401),
+    QuotaExceeded: new Error('Daily quota of the API key exceeded', 15, 429),
+    Forbidden: new Error('The API key isn\'t allowed to use this feature', 16, 403),
+    BotNotFound: new Error('Bot not found', 17, 404),
+    BotExists: new Error('An account with this username already exists', 18, 400),
+    ShuttingDown: new Error('The server is shutting down, please try again later', 19, 503),
 };
 
 
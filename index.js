@@ -2,33 +2,82 @@ global._mckay_statistics_opt_out = true; // Opt out of node-steam-user stats
 
 const optionDefinitions = [
     { name: 'config', alias: 'c', type: String, defaultValue: './config.js' }, // Config file location
-    { name: 'steam_data', alias: 's', type: String } // Steam data directory
+    { name: 'steam_data', alias: 's', type: String }, // Steam data directory
+    { name: 'check-config', type: Boolean } // Validate the config file and exit
 ];
 
+/*
+    Loads the config file and fills in its defaults, exits with the problems if it can't be used
+ */
+function loadConfig(file) {
+    let config;
+
+    try {
+        config = require(file);
+    } catch (e) {
+        console.error(`Failed to load the config file ${file}: ${e.message}`);
+        process.exit(1);
+    }
+
+    const {errors, warnings} = configSchema.check(config);
+
+    for (const warning of warnings) {
+        console.warn(`Config warning: ${warning}`);
+    }
+
+    if (errors.length > 0) {
+        console.error(`Invalid config file ${file}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+        process.exit(1);
+    }
+
+    return config;
+}
+
 const args = require('command-line-args')(optionDefinitions),
-    CONFIG = require(args.config),
-    createLogger = require('./lib/logger'),
-    winston = createLogger(CONFIG.logging || {}),
+    configSchema = require('./lib/config_schema'),
+    CONFIG = loadConfig(args.config);
+
+if (args['check-config']) {
+    console.log(`The config file ${args.config} is valid`);
+    process.exit(0);
+}
+
+const createLogger = require('./lib/logger'),
+    winston = createLogger(CONFIG.logging),
+    util = require('util'),
     bodyParser = require('body-parser'),
     rateLimit = require('express-rate-limit'),
+    RateLimitMemoryStore = require('express-rate-limit/lib/memory-store'),
     utils = require('./lib/utils'),
-    queue = new (require('./lib/queue'))(),
+    queue = new (require('./lib/queue'))(CONFIG.queue_lanes),
     InspectURL = require('./lib/inspect_url'),
-    botController = new (require('./lib/bot_controller'))(),
-    postgres = new (require('./lib/postgres'))(CONFIG.database_url, CONFIG.enable_bulk_inserts),
+    mockGC = require('./lib/mock_gc'),
+    botController = new (require('./lib/bot_controller'))(
+        CONFIG.mock_gc && CONFIG.mock_gc.enable ? mockGC.createClients(CONFIG.mock_gc) : undefined),
+    storage = require('./lib/storage').create(CONFIG),
     gameData = new (require('./lib/game_data'))(CONFIG.game_files_update_interval, CONFIG.enable_game_file_updates),
     errors = require('./errors'),
     Job = require('./lib/job'),
-    ProxyPoolManager = require('./lib/proxy_pool_manager');
+    jobStore = new (require('./lib/job_store'))(CONFIG.bulk_result_ttl),
+    Webhook = require('./lib/webhook'),
+    JobJournal = require('./lib/job_journal'),
+    Cluster = require('./lib/cluster'),
+    search = require('./lib/search'),
+    metrics = new (require('./lib/metrics'))(),
+    ApiKeys = require('./lib/api_keys'),
+    AccountState = require('./lib/account_state'),
+    ConfigWatcher = require('./lib/config_watcher'),
+    ProxyPoolManager = require('./lib/proxy_pool_manager'),
+    SteamGuardPoller = require('./lib/steam_guard_poller');
 
 // Make winston globally available for other modules
 global.winston = winston;
 
-if (CONFIG.max_simultaneous_requests === undefined) {
-    CONFIG.max_simultaneous_requests = 1;
-}
+// Accounts added, disabled or retired through the admin endpoints
+const accountState = new AccountState(CONFIG.account_state_file);
+let logins = accountState.getLogins(CONFIG.logins);
 
-if (CONFIG.logins.length === 0) {
+if (logins.length === 0) {
     console.log('There are no bot logins. Please add some in config.json');
     process.exit(1);
 }
@@ -37,6 +86,10 @@ if (args.steam_data) {
     CONFIG.bot_settings.steam_user.dataDirectory = args.steam_data;
 }
 
+metrics.observeQueue(queue);
+metrics.observeBots(botController);
+metrics.observeStorage(storage);
+
 // Initialize proxy pool manager if enabled
 let proxyPoolManager = null;
 if (CONFIG.proxy_pool && CONFIG.proxy_pool.enabled) {
@@ -48,15 +101,47 @@ if (CONFIG.proxy_pool && CONFIG.proxy_pool.enabled) {
         CONFIG.proxy_pool  // Pass entire proxy_pool config for retry settings
     );
     botController.setProxyPoolManager(proxyPoolManager);
+    metrics.observeProxies(proxyPoolManager);
     winston.info(`Proxy pool manager initialized with ${proxyPoolManager.proxyGroups.length} proxies`);
     winston.info(`Login retry: ${CONFIG.proxy_pool.retry_on_login_failure ? 'enabled' : 'disabled'}, max retries: ${CONFIG.proxy_pool.max_login_retries || 3}`);
 }
 
+// Read the Steam Guard codes emailed to the bots from their mailbox
+let steamGuardPoller = null;
+if (CONFIG.steam_guard_email.enable) {
+    steamGuardPoller = new SteamGuardPoller(CONFIG.steam_guard_email, botController);
+    botController.setSteamGuardPoller(steamGuardPoller);
+
+    // Alerts are signed with the auth_key, steam_guard_email requires a restart so the webhook is kept. The operator
+    // sets the URL, so it may be on a private network
+    const alertWebhook = CONFIG.steam_guard_email.alert_url ?
+        new Webhook(CONFIG.steam_guard_email.alert_url, CONFIG.auth_key,
+            Object.assign({}, CONFIG.webhook, {allow_private: true})) : null;
+
+    steamGuardPoller.on('timeout', (username, waited) => {
+        if (alertWebhook) {
+            alertWebhook.send({event: 'steam_guard_timeout', username, waited_ms: waited});
+        }
+    });
+
+    steamGuardPoller.start();
+    winston.info(`Reading Steam Guard codes from ${CONFIG.steam_guard_email.user} on ${CONFIG.steam_guard_email.host}`);
+}
+
+botController.setHealthConfig(CONFIG.bot_health);
+botController.setRelogConfig(CONFIG.relog);
+
 // Group bots for initialization
 const allBots = [];
 
-for (let [i, loginData] of CONFIG.logins.entries()) {
+for (let [i, loginData] of logins.entries()) {
     const settings = Object.assign({}, CONFIG.bot_settings);
+
+    if (accountState.isDisabled(loginData.user)) {
+        botController.disableAccount(loginData, settings);
+        continue;
+    }
+
     allBots.push({ loginData, settings });
 }
 
@@ -123,10 +208,23 @@ async function startBotsStaggered() {
 // Start the staggered bot initialization
 startBotsStaggered();
 
-postgres.connect();
+const apiKeys = new ApiKeys(CONFIG.api_keys, storage);
+
+// Asynchronous bulk jobs are journaled so they are resumed after a restart, opened once the queue is processing
+const jobJournal = CONFIG.durable_queue.enable ?
+    new JobJournal(CONFIG.durable_queue.file, CONFIG.bulk_result_ttl) : null;
+
+// Instances in cluster mode share their queue through Postgres, joined once the local queue is processing
+const cluster = CONFIG.cluster.enable ?
+    new Cluster(CONFIG.database_url, CONFIG.cluster, queue, botController) : null;
+
+storage.connect().then(() => apiKeys.start()).catch((e) => {
+    winston.error(`Failed to connect to the storage backend: ${e.message || e}`);
+});
 
 // Setup and configure express
 const app = require('express')();
+app.use(metrics.middleware());
 app.use(function (req, res, next) {
     if (req.method === 'POST') {
         // Default content-type
@@ -149,19 +247,39 @@ if (CONFIG.trust_proxy === true) {
     app.enable('trust proxy');
 }
 
-CONFIG.allowed_regex_origins = CONFIG.allowed_regex_origins || [];
-CONFIG.allowed_origins = CONFIG.allowed_origins || [];
-const allowedRegexOrigins = CONFIG.allowed_regex_origins.map((origin) => new RegExp(origin));
+let allowedRegexOrigins = CONFIG.allowed_regex_origins.map((origin) => new RegExp(origin));
+
 
+/*
+    Returns the max amount of simultaneous requests of the API key, or of an IP without one
+ */
+function getMaxSimultaneousRequests(apiKey) {
+    if (apiKey && apiKey.maxSimultaneousRequests !== undefined) {
+        return apiKey.maxSimultaneousRequests;
+    }
+
+    return CONFIG.max_simultaneous_requests;
+}
+
+// Set once a shutdown signal is received, new jobs are refused from then on
+let shuttingDown = false;
 
 async function handleJob(job) {
+    if (shuttingDown) {
+        return job.setResponseRemaining(errors.ShuttingDown);
+    }
+
+    if (job.apiKey && !await consumeKeyQuota(job.apiKey, job.remainingSize())) {
+        return job.setResponseRemaining(errors.QuotaExceeded);
+    }
+
     // See which items have already been cached
-    const itemData = await postgres.getItemData(job.getRemainingLinks().map(e => e.link));
+    const itemData = await storage.getItemData(job.getRemainingLinks().map(e => e.link));
     for (let item of itemData) {
         const link = job.getLink(item.a);
 
         if (!item.price && link.price) {
-            postgres.updateItemPrice(item.a, link.price);
+            storage.updateItemPrice(item.a, link.price);
         }
 
         gameData.addAdditionalItemProperties(item);
@@ -170,35 +288,210 @@ async function handleJob(job) {
         job.setResponse(item.a, item);
     }
 
-    if (!botController.hasBotOnline()) {
+    if (!(cluster ? cluster.hasBotOnline() : botController.hasBotOnline())) {
         return job.setResponseRemaining(errors.SteamOffline);
     }
 
-    if (CONFIG.max_simultaneous_requests > 0 &&
-        (queue.getUserQueuedAmt(job.ip) + job.remainingSize()) > CONFIG.max_simultaneous_requests) {
-        return job.setResponseRemaining(errors.MaxRequests);
+    // Nobody is waiting on a job cancelled in the meantime
+    if (job.remainingSize() === 0 || job.cancelled) return;
+
+    const limits = {owner: getMaxSimultaneousRequests(job.apiKey), queue: CONFIG.max_queue_size};
+    const exceeded = await enqueue(job, job.lane || (job.isBulk ? 'bulk' : 'interactive'), limits);
+
+    if (exceeded === 'owner') {
+        job.setResponseRemaining(errors.MaxRequests);
+    } else if (exceeded === 'queue') {
+        job.setResponseRemaining(errors.MaxQueueSize);
+    }
+}
+
+/*
+    Queues the remaining links of the job, on the queue shared by the instances in cluster mode
+    Resolves with 'owner' or 'queue' if the links would exceed that limit of limits ({owner, queue}, 0 or less for
+    none) and weren't queued. In cluster mode the limits apply to the whole cluster.
+ */
+async function enqueue(job, lane, limits = {}) {
+    if (cluster) {
+        return cluster.addJob(job, CONFIG.bot_settings.max_attempts, lane, limits);
+    }
+
+    const amount = job.remainingSize();
+
+    if (limits.owner > 0 && queue.getUserQueuedAmt(job.owner) + amount > limits.owner) return 'owner';
+    if (limits.queue > 0 && queue.size() + amount > limits.queue) return 'queue';
+
+    queue.addJob(job, CONFIG.bot_settings.max_attempts, lane);
+}
+
+/*
+    Counts a request against the rate limit of the API key, shared by the instances in cluster mode
+    Resolves whether it is allowed
+ */
+async function consumeKeyRequest(apiKey) {
+    if (!cluster || apiKey.rateLimitMax <= 0) {
+        return apiKey.consumeRequest();
+    }
+
+    const {added} = await cluster.incrementCounter(`rate:${apiKey.owner}`, 1, apiKey.rateLimitMax,
+        apiKey.rateLimitWindow);
+
+    return apiKey.recordRequest(added);
+}
+
+/*
+    Counts the links against the daily quota of the API key, shared by the instances in cluster mode
+    Resolves whether they fit in the quota, links that don't aren't counted
+ */
+async function consumeKeyQuota(apiKey, amount) {
+    if (!cluster || apiKey.dailyQuota <= 0) {
+        return apiKey.consumeQuota(amount);
     }
 
-    if (CONFIG.max_queue_size > 0 && (queue.size() + job.remainingSize()) > CONFIG.max_queue_size) {
-        return job.setResponseRemaining(errors.MaxQueueSize);
+    // Moves the key to the current day
+    apiKey.hasQuota(0);
+
+    const {added, count} = await cluster.incrementCounter(`quota:${apiKey.owner}:${apiKey.quotaDay}`, amount,
+        apiKey.dailyQuota, ApiKeys.ApiKey.getQuotaReset());
+
+    if (added) {
+        apiKey.recordQuota(amount, count);
     }
 
-    if (job.remainingSize() > 0) {
-        queue.addJob(job, CONFIG.bot_settings.max_attempts);
+    return added;
+}
+
+/*
+    Drops the links of the job from the queue once nobody is waiting on its results, the job never completes
+ */
+async function cancelJob(job) {
+    job.cancelled = true;
+
+    if (cluster) {
+        await cluster.removeJob(job);
+    } else {
+        queue.removeJob(job);
     }
 }
 
-function canSubmitPrice(key, link, price) {
-    return CONFIG.price_key && key === CONFIG.price_key && price && link.isMarketLink() && utils.isOnlyDigits(price);
+/*
+    Checks whether the caller has an API key with the permission or knows the shared key of the feature
+ */
+function hasPermission(apiKey, permission, key, sharedKey) {
+    return (apiKey && apiKey.can(permission)) || !!(sharedKey && key === sharedKey);
+}
+
+function canSubmitPrice(apiKey, key, link, price) {
+    return hasPermission(apiKey, 'price', key, CONFIG.price_key) && price && link.isMarketLink() &&
+        utils.isOnlyDigits(price);
+}
+
+/*
+    Returns the error preventing the caller from placing bulk jobs, if any
+    Without a bulk_key anyone can, with a key, otherwise API keys need the bulk permission and anyone else the bulk_key
+ */
+function getBulkAccessError(apiKey, bulkKey) {
+    if (!CONFIG.bulk_key || hasPermission(apiKey, 'bulk', bulkKey, CONFIG.bulk_key)) return;
+
+    return apiKey ? errors.Forbidden : errors.BadSecret;
+}
+
+/*
+    Returns the error preventing the caller from placing a bulk job with the amount of links, if any
+ */
+function getBulkSizeError(apiKey, size) {
+    const maxSimultaneousRequests = getMaxSimultaneousRequests(apiKey);
+
+    if ((maxSimultaneousRequests > 0 && size > maxSimultaneousRequests) ||
+        (apiKey && apiKey.maxBulkSize > 0 && size > apiKey.maxBulkSize)) {
+        return errors.MaxRequests;
+    }
+
+    if (apiKey && !apiKey.hasQuota(size)) {
+        return errors.QuotaExceeded;
+    }
+}
+
+/*
+    Returns the secret to sign the callbacks of the job with: the webhook_secret of its API key, or the bulk_key for
+    callers without a key. Callbacks of a key without a webhook_secret are unsigned.
+ */
+function getCallbackSecret(job) {
+    const apiKey = job.apiKey || apiKeys.getByOwner(job.owner);
+
+    if (apiKey) return apiKey.webhookSecret;
+
+    // The key of a restored job was removed, the bulk_key isn't for its owner either
+    if (job.owner && job.owner.startsWith('key:')) return;
+
+    return CONFIG.bulk_key;
+}
+
+/*
+    POSTs the job results to the callback URL, either once the job completes or in batches of batchSize as they finish
+    Batches are delivered one after another, so the final one only goes out once every earlier batch is done
+    A job restored by the journal continues with the batch number and undelivered results it had
+ */
+function attachCallback(job, url, batchSize, restored = {batches: 0, batch: {}}) {
+    const webhook = new Webhook(url, undefined, CONFIG.webhook);
+    let batch = Object.assign({}, restored.batch);
+    let batchNumber = restored.batches;
+
+    const send = (final) => {
+        const payload = {
+            id: job.id,
+            batch: batchNumber++,
+            final: final,
+            total: job.total,
+            completed: job.total - job.remainingSize(),
+            responses: batchSize > 0 ? batch : job.responses,
+        };
+
+        batch = {};
+        // Resolved when sending, the key of a restored job may only be loaded from the database meanwhile
+        webhook.secret = getCallbackSecret(job);
+        webhook.send(payload);
+        job.emit('callback sent', payload.batch);
+    };
+
+    if (batchSize > 0) {
+        job.on('response', (assetId, response) => {
+            batch[assetId] = response;
+
+            // The final batch is sent on completion
+            if (Object.keys(batch).length >= batchSize && job.remainingSize() > 0) {
+                send(false);
+            }
+        });
+    }
+
+    job.on('complete', () => send(true));
+}
+
+function canChooseLane(apiKey, key) {
+    return hasPermission(apiKey, 'bulk', key, CONFIG.bulk_key) || hasPermission(apiKey, 'price', key, CONFIG.price_key);
+}
+
+function isAllowedOrigin(origin) {
+    return CONFIG.allowed_origins.indexOf(origin) > -1 ||
+        allowedRegexOrigins.findIndex((reg) => reg.test(origin)) > -1;
+}
+
+/*
+    Parses the inspect link from either a url param or the s, a, d, m params
+ */
+function parseLinkParams(params) {
+    if ('url' in params) {
+        return new InspectURL(params.url);
+    }
+    else if ('a' in params && 'd' in params && ('s' in params || 'm' in params)) {
+        return new InspectURL(params);
+    }
 }
 
 app.use(function (req, res, next) {
     if (CONFIG.allowed_origins.length > 0 && req.get('origin') != undefined) {
         // check to see if its a valid domain
-        const allowed = CONFIG.allowed_origins.indexOf(req.get('origin')) > -1 ||
-            allowedRegexOrigins.findIndex((reg) => reg.test(req.get('origin'))) > -1;
-
-        if (allowed) {
+        if (isAllowedOrigin(req.get('origin'))) {
             res.header('Access-Control-Allow-Origin', req.get('origin'));
             res.header('Access-Control-Allow-Methods', 'GET');
         }
@@ -206,64 +499,160 @@ app.use(function (req, res, next) {
     next()
 });
 
-if (CONFIG.rate_limit && CONFIG.rate_limit.enable) {
-    app.use(rateLimit({
+// Endpoints that don't need an API key even if they are required
+const PUBLIC_PATHS = ['/stats', '/status', '/metrics'];
+
+/*
+    Returns the API key sent in the X-API-Key header or the api_key param
+ */
+function getRequestApiKey(req) {
+    return req.get('x-api-key') || req.query.api_key || (req.body && req.body.api_key);
+}
+
+app.use(function (req, res, next) {
+    const key = getRequestApiKey(req);
+
+    if (key === undefined) {
+        if (apiKeys.required && !PUBLIC_PATHS.includes(req.path)) {
+            return errors.InvalidApiKey.respond(res);
+        }
+
+        return next();
+    }
+
+    const apiKey = apiKeys.get(key);
+
+    if (!apiKey) {
+        return errors.InvalidApiKey.respond(res);
+    }
+
+    consumeKeyRequest(apiKey).then((allowed) => {
+        if (!allowed) {
+            return errors.RateLimit.respond(res);
+        }
+
+        req.apiKey = apiKey;
+        next();
+    }).catch((e) => {
+        winston.warn(e);
+        errors.GenericBad.respond(res);
+    });
+});
+
+/*
+    Returns the global rate limit middleware, or undefined if it is disabled
+    The hits per IP are kept in its store, which Socket.IO events count against as well. The store is shared by the
+    instances in cluster mode.
+ */
+function createRateLimit() {
+    if (!CONFIG.rate_limit || !CONFIG.rate_limit.enable) return;
+
+    const store = cluster ? cluster.createRateLimitStore(CONFIG.rate_limit.window_ms) :
+        new RateLimitMemoryStore(CONFIG.rate_limit.window_ms);
+
+    const middleware = rateLimit({
         windowMs: CONFIG.rate_limit.window_ms,
         max: CONFIG.rate_limit.max,
         headers: false,
+        store: store,
+        // API keys have their own rate limits
+        skip: (req) => !!req.apiKey,
         handler: function (req, res) {
             errors.RateLimit.respond(res);
         }
-    }))
+    });
+
+    middleware.store = store;
+    return middleware;
 }
 
-app.get('/', function(req, res) {
-    // Get and parse parameters
-    let link;
+/*
+    Counts a request of the IP against the global rate limit, resolves whether it is over the limit
+ */
+function consumeIpRequest(ip) {
+    if (!globalRateLimit) return Promise.resolve(false);
 
-    if ('url' in req.query) {
-        link = new InspectURL(req.query.url);
-    }
-    else if ('a' in req.query && 'd' in req.query && ('s' in req.query || 'm' in req.query)) {
-        link = new InspectURL(req.query);
+    const {store} = globalRateLimit;
+    const max = CONFIG.rate_limit.max;
+
+    return new Promise((resolve, reject) => {
+        store.incr(ip, (err, hits) => err ? reject(err) : resolve(max > 0 && hits > max));
+    });
+}
+
+// Replaced when the config is reloaded, which resets the counters
+let globalRateLimit = createRateLimit();
+
+app.use(function (req, res, next) {
+    if (globalRateLimit) {
+        globalRateLimit(req, res, next);
+    } else {
+        next();
     }
+});
+
+app.get('/', function(req, res) {
+    // Get and parse parameters
+    const link = parseLinkParams(req.query);
 
     if (!link || !link.getParams()) {
         return errors.InvalidInspect.respond(res);
     }
 
+    if ('lane' in req.query && (!canChooseLane(req.apiKey, req.query.key) || !queue.hasLane(req.query.lane))) {
+        return errors.BadParams.respond(res);
+    }
+
     const job = new Job(req, res, /* bulk */ false);
+    job.lane = req.query.lane;
 
     let price;
 
-    if (canSubmitPrice(req.query.priceKey, link, req.query.price)) {
+    if (canSubmitPrice(req.apiKey, req.query.priceKey, link, req.query.price)) {
         price = parseInt(req.query.price);
     }
 
     job.add(link, price);
 
-    try {
-        handleJob(job);
-    } catch (e) {
+    handleJob(job).catch((e) => {
         winston.warn(e);
-        errors.GenericBad.respond(res);
-    }
+        job.setResponseRemaining(errors.GenericBad);
+    });
 });
 
 app.post('/bulk', (req, res) => {
-    if (!req.body || (CONFIG.bulk_key && req.body.bulk_key != CONFIG.bulk_key)) {
+    if (!req.body) {
         return errors.BadSecret.respond(res);
     }
 
+    const accessError = getBulkAccessError(req.apiKey, req.body.bulk_key);
+    if (accessError) {
+        return accessError.respond(res);
+    }
+
     if (!req.body.links || req.body.links.length === 0) {
         return errors.BadBody.respond(res);
     }
 
-    if (CONFIG.max_simultaneous_requests > 0 && req.body.links.length > CONFIG.max_simultaneous_requests) {
-        return errors.MaxRequests.respond(res);
+    const sizeError = getBulkSizeError(req.apiKey, req.body.links.length);
+    if (sizeError) {
+        return sizeError.respond(res);
+    }
+
+    if (req.body.lane &&
+        (!canChooseLane(req.apiKey, req.body.bulk_key || req.body.priceKey) || !queue.hasLane(req.body.lane))) {
+        return errors.BadParams.respond(res);
     }
 
-    const job = new Job(req, res, /* bulk */ true);
+    if (req.body.callback_url && !Webhook.isAllowedUrl(req.body.callback_url, CONFIG.webhook.allow_private)) {
+        return errors.BadParams.respond(res);
+    }
+
+    // Asynchronous jobs reply with their ID right away and are polled through GET /bulk/:id or sent to the callback
+    const isAsync = req.body.async === true || !!req.body.callback_url;
+
+    const job = new Job(req, isAsync ? null : res, /* bulk */ true);
+    job.lane = req.body.lane;
 
     for (const data of req.body.links) {
         const link = new InspectURL(data.link);
@@ -273,30 +662,184 @@ app.post('/bulk', (req, res) => {
 
         let price;
 
-        if (canSubmitPrice(req.body.priceKey, link, data.price)) {
+        if (canSubmitPrice(req.apiKey, req.body.priceKey, link, data.price)) {
             price = parseInt(req.query.price);
         }
 
         job.add(link, price);
     }
 
+    const callbackBatchSize = parseInt(req.body.callback_batch_size) || 0;
+
+    if (isAsync) {
+        jobStore.add(job);
+    }
+
+    // Before the callback is attached, so a batch is journaled with its last result
+    if (isAsync && jobJournal) {
+        const callback = req.body.callback_url ? {url: req.body.callback_url, batch_size: callbackBatchSize} : null;
+        jobJournal.track(job, callback);
+    }
+
+    if (req.body.callback_url) {
+        attachCallback(job, req.body.callback_url, callbackBatchSize);
+    }
+
+    handleJob(job).catch((e) => {
+        winston.warn(e);
+        job.setResponseRemaining(errors.GenericBad);
+    });
+
+    if (isAsync) {
+        const status = job.getStatus();
+        delete status.results;
+        res.status(202).json(status);
+    }
+});
+
+app.get('/bulk/:id', (req, res) => {
+    const accessError = getBulkAccessError(req.apiKey, req.query.bulk_key);
+    if (accessError) {
+        return accessError.respond(res);
+    }
+
+    const job = jobStore.get(req.params.id);
+
+    // Jobs of other API keys or IPs are reported as missing, so their IDs can't be probed
+    if (!job || job.owner !== (req.apiKey ? req.apiKey.owner : req.ip)) {
+        return errors.JobNotFound.respond(res);
+    }
+
+    res.json(job.getStatus());
+});
+
+/*
+    Annotates an item from the storage backend with game files for the API reply
+ */
+function formatStoredItem(item) {
+    gameData.addAdditionalItemProperties(item);
+    item = utils.removeNullValues(item);
+    item.stickers = item.stickers.map((s) => utils.removeNullValues(s));
+    item.keychains = item.keychains.map((s) => utils.removeNullValues(s));
+    return item;
+}
+
+/*
+    Parses an optional boolean query param, returns null if it is invalid
+ */
+function parseBoolParam(value) {
+    if (value === undefined) return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return null;
+}
+
+app.get('/rank/:order(low|high)', async (req, res) => {
+    const options = {
+        order: req.params.order,
+        limit: 'limit' in req.query ? parseInt(req.query.limit) : 20,
+        offset: 'offset' in req.query ? parseInt(req.query.offset) : 0,
+        stattrak: parseBoolParam(req.query.stattrak),
+        souvenir: parseBoolParam(req.query.souvenir),
+    };
+
+    for (const param of ['defindex', 'paintindex']) {
+        if (param in req.query) {
+            if (!utils.isOnlyDigits(req.query[param])) {
+                return errors.BadParams.respond(res);
+            }
+
+            options[param] = parseInt(req.query[param]);
+        }
+    }
+
+    if (isNaN(options.limit) || options.limit < 1 || options.limit > 100 || isNaN(options.offset) || options.offset < 0 ||
+        options.stattrak === null || options.souvenir === null) {
+        return errors.BadParams.respond(res);
+    }
+
     try {
-        handleJob(job);
+        const items = (await storage.getRankedItems(options)).map(formatStoredItem);
+        res.json({items, limit: options.limit, offset: options.offset});
     } catch (e) {
         winston.warn(e);
         errors.GenericBad.respond(res);
     }
 });
 
-app.get('/stats', (req, res) => {
+app.post('/search', async (req, res) => {
+    const query = search.parseSearchQuery(req.body);
+
+    if (!query) {
+        return errors.BadBody.respond(res);
+    }
+
+    try {
+        const result = await storage.searchItems(query);
+        res.json({items: result.items.map(formatStoredItem), next_cursor: result.next_cursor});
+    } catch (e) {
+        winston.warn(e);
+        errors.GenericBad.respond(res);
+    }
+});
+
+app.get('/history', async (req, res) => {
+    if (!hasPermission(req.apiKey, 'history', req.query.key, CONFIG.history_key)) {
+        return req.apiKey ? errors.Forbidden.respond(res) : errors.BadSecret.respond(res);
+    }
+
+    const options = {
+        order: req.query.order || 'asc',
+        limit: 'limit' in req.query ? parseInt(req.query.limit) : 50,
+        offset: 'offset' in req.query ? parseInt(req.query.offset) : 0,
+    };
+
+    // Asset ids larger than 64 bits don't fit the bigint columns
+    if ('a' in req.query && utils.isUnsigned64(req.query.a)) {
+        options.a = req.query.a;
+    } else if ('floatid' in req.query && utils.isUnsigned64(req.query.floatid)) {
+        options.floatid = req.query.floatid;
+    } else {
+        return errors.BadParams.respond(res);
+    }
+
+    if (isNaN(options.limit) || options.limit < 1 || options.limit > 100 || isNaN(options.offset) || options.offset < 0 ||
+        (options.order !== 'asc' && options.order !== 'desc')) {
+        return errors.BadParams.respond(res);
+    }
+
+    try {
+        const history = await storage.getItemHistory(options);
+
+        if (!history) {
+            return errors.ItemNotFound.respond(res);
+        }
+
+        res.json(Object.assign(history, {limit: options.limit, offset: options.offset}));
+    } catch (e) {
+        winston.warn(e);
+        errors.GenericBad.respond(res);
+    }
+});
+
+app.get('/stats', async (req, res) => {
     const stats = {
         bots_online: botController.getReadyAmount(),
         bots_total: botController.bots.length,
-        queue_size: queue.queue.length,
+        queue_size: queue.size(),
         queue_concurrency: queue.concurrency,
-        pending_auth: botController.getPendingAuthBots().length
+        queue_lanes: queue.getLaneStats(),
+        dedup_hits: queue.dedupHits,
+        pending_auth: botController.getPendingAuthBots().length,
+        bulk_jobs: jobStore.getStats(),
+        request_delays: botController.getRequestDelays()
     };
     
+    const cacheStats = storage.getCacheStats();
+    if (cacheStats) {
+        stats.cache = cacheStats;
+    }
+
     // Add proxy pool stats if available
     if (proxyPoolManager) {
         stats.proxy_pool = proxyPoolManager.getStats();
@@ -307,18 +850,165 @@ app.get('/stats', (req, res) => {
     if (pendingAuthBots.length > 0) {
         stats.pending_auth_details = pendingAuthBots;
     }
-    
+
+    if (cluster) {
+        try {
+            stats.cluster = await cluster.getClusterStats();
+        } catch (e) {
+            winston.warn(`Failed to get the cluster stats: ${e.message}`);
+        }
+    }
+
     res.json(stats);
 });
 
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.end(await metrics.metrics());
+    } catch (e) {
+        winston.warn(e);
+        errors.GenericBad.respond(res);
+    }
+});
+
+// Limits and usage of the caller's API key
+app.get('/usage', (req, res) => {
+    if (!req.apiKey) {
+        return errors.InvalidApiKey.respond(res);
+    }
+
+    res.json(req.apiKey.getUsage());
+});
+
+// Usage of every API key, requires the admin permission
+app.get('/keys', (req, res) => {
+    if (!req.apiKey) {
+        return errors.InvalidApiKey.respond(res);
+    }
+
+    if (!req.apiKey.can('admin')) {
+        return errors.Forbidden.respond(res);
+    }
+
+    res.json({keys: apiKeys.getUsage()});
+});
+
+/*
+    Returns the error preventing the caller from using the admin endpoints, if any
+    Requires an API key with the admin permission or the auth_key, the endpoints are disabled without either
+ */
+function getAdminError(req) {
+    const key = req.get('x-auth-key') || req.query.auth_key || (req.body && req.body.auth_key);
+
+    if (hasPermission(req.apiKey, 'admin', key, CONFIG.auth_key)) return;
+
+    return req.apiKey ? errors.Forbidden : errors.BadSecret;
+}
+
+app.use('/admin', (req, res, next) => {
+    const error = getAdminError(req);
+    if (error) {
+        return error.respond(res);
+    }
+
+    next();
+});
+
+/*
+    Persists an account change before the bots are touched, so a failed write leaves both as they were
+    Returns false after responding with an error if the state couldn't be written
+ */
+function saveAccountState(res, change) {
+    try {
+        change();
+        return true;
+    } catch (e) {
+        winston.error(`Failed to save the account state to ${CONFIG.account_state_file}: ${e.message}`);
+        errors.GenericBad.respond(res);
+        return false;
+    }
+}
+
+app.get('/admin/bots', (req, res) => {
+    res.json(botController.getAccounts());
+});
+
+// Adds a login, it is logged in right away unless it is added as a spare
+app.post('/admin/bots', (req, res) => {
+    const {user, pass, auth, spare} = req.body;
+
+    if (typeof user !== 'string' || !user || typeof pass !== 'string' || !pass ||
+        (auth !== undefined && typeof auth !== 'string')) {
+        return errors.BadBody.respond(res);
+    }
+
+    if (botController.hasAccount(user)) {
+        return errors.BotExists.respond(res);
+    }
+
+    const loginData = {user, pass, auth};
+
+    if (!saveAccountState(res, () => accountState.addLogin(loginData))) return;
+
+    botController.addAccount(loginData, Object.assign({}, CONFIG.bot_settings), spare === true);
+
+    winston.info(`Added account ${user}${spare === true ? ' as a spare' : ''}`);
+    res.json({success: true, username: user});
+});
+
+app.post('/admin/bots/:username/disable', (req, res) => {
+    if (!botController.findBot(req.params.username)) {
+        return errors.BotNotFound.respond(res);
+    }
+
+    if (!saveAccountState(res, () => accountState.setDisabled(req.params.username, true))) return;
+
+    botController.disableBot(req.params.username);
+    res.json({success: true, username: req.params.username});
+});
+
+app.post('/admin/bots/:username/enable', (req, res) => {
+    if (!botController.isDisabled(req.params.username)) {
+        return errors.BotNotFound.respond(res);
+    }
+
+    if (!saveAccountState(res, () => accountState.setDisabled(req.params.username, false))) return;
+
+    botController.enableBot(req.params.username);
+    res.json({success: true, username: req.params.username});
+});
+
+app.post('/admin/bots/:username/relog', (req, res) => {
+    if (!botController.relogBot(req.params.username)) {
+        return errors.BotNotFound.respond(res);
+    }
+
+    res.json({success: true, username: req.params.username});
+});
+
+// Retired accounts are never logged in again, even if they are still in config.js
+app.post('/admin/bots/:username/retire', (req, res) => {
+    const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Retired by an admin';
+
+    if (!botController.hasAccount(req.params.username)) {
+        return errors.BotNotFound.respond(res);
+    }
+
+    if (!saveAccountState(res, () => accountState.retire(req.params.username, reason))) return;
+
+    botController.retireAccount(req.params.username, reason);
+    res.json({success: true, username: req.params.username});
+});
+
 // Endpoint to provide Steam Guard code for a bot
 app.post('/auth', (req, res) => {
     if (!req.body || !req.body.username || !req.body.code) {
         return res.status(400).json({ error: 'Username and code required' });
     }
     
-    // Optional: Add auth key for security
-    if (CONFIG.auth_key && req.body.auth_key !== CONFIG.auth_key) {
+    // Optional: Add auth key for security, admin API keys can always provide codes
+    if (CONFIG.auth_key && !hasPermission(req.apiKey, 'admin', req.body.auth_key, CONFIG.auth_key)) {
         return res.status(403).json({ error: 'Invalid auth key' });
     }
     
@@ -359,11 +1049,13 @@ app.get('/status', (req, res) => {
             target_bots: status.target,
             total_bots: status.total,
             busy_bots: status.busy,
+            quarantined_bots: status.quarantined,
             failed_accounts: status.failed,
             spare_accounts_remaining: status.spares,
             spare_accounts_queued: status.queuedSpares,
             pending_steam_guard: status.pendingAuth
-        }
+        },
+        bots: botController.getBotHealth()
     });
 });
 
@@ -371,7 +1063,166 @@ const http_server = require('http').Server(app);
 http_server.listen(CONFIG.http.port);
 winston.info('Listening for HTTP on port: ' + CONFIG.http.port);
 
-queue.process(CONFIG.logins.length, botController, async (job) => {
+let io = null;
+
+if (CONFIG.enable_socket_io) {
+    io = require('socket.io')(http_server, {serveClient: false});
+
+    io.origins((origin, callback) => {
+        // socket.io falls back to the referer, which includes a path
+        try {
+            origin = new URL(origin).origin;
+        } catch (e) {
+            // Keep the raw value
+        }
+
+        // Non-browser clients don't send an origin
+        if (CONFIG.allowed_origins.length === 0 || !origin || origin === '*' || isAllowedOrigin(origin)) {
+            callback(null, true);
+        } else {
+            callback('origin not allowed', false);
+        }
+    });
+
+    io.on('connection', (socket) => {
+        // Mirror express' trust proxy behaviour for the per-IP limits
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        const ip = CONFIG.trust_proxy === true && forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+
+        const key = socket.handshake.headers['x-api-key'] || socket.handshake.query.api_key;
+        const apiKey = apiKeys.get(key);
+
+        if ((key !== undefined && !apiKey) || (key === undefined && apiKeys.required)) {
+            socket.emit('inspect error', errors.InvalidApiKey.getJSON());
+            return socket.disconnect(true);
+        }
+
+        // Every event counts as a request against the rate limit of the key, or the global one of the IP without one
+        const isRateLimited = async () => {
+            let limited;
+
+            try {
+                limited = apiKey ? !await consumeKeyRequest(apiKey) : await consumeIpRequest(ip);
+            } catch (e) {
+                winston.warn(e);
+                socket.emit('inspect error', errors.GenericBad.getJSON());
+                return true;
+            }
+
+            if (limited) {
+                socket.emit('inspect error', errors.RateLimit.getJSON());
+            }
+
+            return limited;
+        };
+
+        // Jobs of the socket that didn't complete yet, dropped from the queue when it disconnects
+        const jobs = new Set();
+
+        socket.on('disconnect', () => {
+            for (const job of jobs) {
+                cancelJob(job).catch((e) => winston.warn(`Failed to cancel job ${job.id}: ${e.message}`));
+            }
+
+            jobs.clear();
+        });
+
+        // Streams each result to the client as soon as it is available
+        const startJob = (job) => {
+            if (socket.disconnected) return;
+
+            jobs.add(job);
+            job.on('response', (assetId, response) => {
+                if (response.error) {
+                    socket.emit('inspect error', Object.assign({a: assetId}, response));
+                } else {
+                    socket.emit('iteminfo', {a: assetId, iteminfo: response});
+                }
+            });
+
+            job.on('complete', () => {
+                jobs.delete(job);
+                socket.emit('job complete', {id: job.id, total: job.total});
+            });
+
+            handleJob(job).catch((e) => {
+                winston.warn(e);
+                job.setResponseRemaining(errors.GenericBad);
+            });
+        };
+
+        socket.on('lookup', async (data) => {
+            if (await isRateLimited()) return;
+
+            const link = data && typeof data === 'object' ? parseLinkParams(data) : undefined;
+
+            if (!link || !link.getParams()) {
+                return socket.emit('inspect error', errors.InvalidInspect.getJSON());
+            }
+
+            const job = new Job({ip, apiKey}, null, /* bulk */ false);
+
+            let price;
+
+            if (canSubmitPrice(apiKey, data.priceKey, link, data.price)) {
+                price = parseInt(data.price);
+            }
+
+            job.add(link, price);
+            startJob(job);
+        });
+
+        socket.on('bulk', async (data) => {
+            if (await isRateLimited()) return;
+
+            if (!data) {
+                return socket.emit('inspect error', errors.BadSecret.getJSON());
+            }
+
+            const accessError = getBulkAccessError(apiKey, data.bulk_key);
+            if (accessError) {
+                return socket.emit('inspect error', accessError.getJSON());
+            }
+
+            if (!Array.isArray(data.links) || data.links.length === 0) {
+                return socket.emit('inspect error', errors.BadBody.getJSON());
+            }
+
+            const sizeError = getBulkSizeError(apiKey, data.links.length);
+            if (sizeError) {
+                return socket.emit('inspect error', sizeError.getJSON());
+            }
+
+            if (data.lane && (!canChooseLane(apiKey, data.bulk_key || data.priceKey) || !queue.hasLane(data.lane))) {
+                return socket.emit('inspect error', errors.BadParams.getJSON());
+            }
+
+            const job = new Job({ip, apiKey}, null, /* bulk */ true);
+            job.lane = data.lane;
+
+            for (const linkData of data.links) {
+                const link = new InspectURL(linkData && linkData.link);
+                if (!link.valid) {
+                    return socket.emit('inspect error', errors.InvalidInspect.getJSON());
+                }
+
+                let price;
+
+                if (canSubmitPrice(apiKey, data.priceKey, link, linkData.price)) {
+                    price = parseInt(linkData.price);
+                }
+
+                job.add(link, price);
+            }
+
+            startJob(job);
+        });
+    });
+
+    winston.info('Accepting Socket.IO connections on port: ' + CONFIG.http.port);
+}
+
+queue.process(logins.length, botController, async (job) => {
     const itemData = await botController.lookupFloat(job.data.link);
     winston.debug(`Received itemData for ${job.data.link.getParams().a}`);
 
@@ -380,24 +1231,242 @@ queue.process(CONFIG.logins.length, botController, async (job) => {
     delete itemData.delay;
 
     // add the item info to the DB
-    await postgres.insertItemData(itemData.iteminfo, job.data.price);
+    await storage.insertItemData(itemData.iteminfo, job.data.price);
 
     // Get rank, annotate with game files
-    itemData.iteminfo = Object.assign(itemData.iteminfo, await postgres.getItemRank(itemData.iteminfo.a));
+    itemData.iteminfo = Object.assign(itemData.iteminfo, await storage.getItemRank(itemData.iteminfo.a));
     gameData.addAdditionalItemProperties(itemData.iteminfo);
 
     itemData.iteminfo = utils.removeNullValues(itemData.iteminfo);
     itemData.iteminfo.stickers = itemData.iteminfo.stickers.map((s) => utils.removeNullValues(s));
     itemData.iteminfo.keychains = itemData.iteminfo.keychains.map((s) => utils.removeNullValues(s));
 
-    job.data.job.setResponse(job.data.link.getParams().a, itemData.iteminfo);
+    // Reply to every request that is waiting on this asset
+    for (const link of job.links) {
+        link.job.setResponse(job.data.link.getParams().a, itemData.iteminfo);
+    }
 
     return delay;
 });
 
+let clusterJoined = null;
+
+if (cluster) {
+    // Published with each heartbeat and summed up in the cluster stats
+    const getInstanceStats = () => ({
+        bots_online: botController.getReadyAmount(),
+        bots_total: botController.bots.length,
+        queue_concurrency: queue.concurrency,
+        processing: queue.inflight.size,
+        dedup_hits: queue.dedupHits,
+    });
+
+    clusterJoined = cluster.start(getInstanceStats).catch((e) => {
+        winston.error(`Failed to join the cluster: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+if (jobJournal) {
+    const restored = jobJournal.open();
+
+    for (const {job, callback} of restored) {
+        jobStore.add(job);
+
+        if (callback && !job.isComplete) {
+            attachCallback(job, callback.url, callback.batch_size, callback);
+        }
+    }
+
+    // Like new jobs, the links are only queued once they can be looked up, by a local bot or the cluster. They were
+    // accepted before the restart, so the limits of new jobs don't apply
+    const canLookup = clusterJoined || new Promise((resolve) => botController.once('ready', resolve));
+
+    canLookup.then(() => {
+        for (const {job} of restored) {
+            if (job.remainingSize() === 0) continue;
+
+            enqueue(job, job.lane || 'bulk').catch((e) => {
+                winston.warn(`Failed to queue the restored bulk job ${job.id}: ${e.message}`);
+                job.setResponseRemaining(errors.GenericBad);
+            });
+        }
+    });
+
+    queue.on('job retry', (entry) => jobJournal.recordAttempt(entry));
+}
+
 queue.on('job failed', (job, err) => {
     const params = job.data.link.getParams();
     winston.warn(`Job Failed! S: ${params.s} A: ${params.a} D: ${params.d} M: ${params.m} IP: ${job.ip}, Err: ${(err || '').toString()}`);
 
-    job.data.job.setResponse(params.a, errors.TTLExceeded);
+    for (const link of job.links) {
+        link.job.setResponse(params.a, errors.TTLExceeded);
+    }
 });
+
+/*
+    Logs in the accounts added to the config and logs off the removed ones, changed accounts log in again
+ */
+function applyLogins(configLogins) {
+    const updated = accountState.getLogins(configLogins);
+    const isUnchanged = (login, list) => list.some((l) => util.isDeepStrictEqual(l, login));
+
+    for (const login of logins) {
+        if (!isUnchanged(login, updated) && botController.removeAccount(login.user)) {
+            winston.info(`Removed account ${login.user}`);
+        }
+    }
+
+    for (const login of updated) {
+        if (isUnchanged(login, logins) || botController.hasAccount(login.user)) continue;
+
+        const settings = Object.assign({}, CONFIG.bot_settings);
+
+        if (accountState.isDisabled(login.user)) {
+            botController.disableAccount(login, settings);
+        } else {
+            botController.addAccount(login, settings);
+            winston.info(`Added account ${login.user}`);
+        }
+    }
+
+    logins = updated;
+}
+
+/*
+    Applies a reloaded config with its defaults, settings that are only read at startup keep their current value
+ */
+function applyConfig(config, changes) {
+    const changed = (key) => ConfigWatcher.hasChanged(changes, key);
+
+    for (const key of Object.keys(Object.assign({}, CONFIG, config))) {
+        if (!ConfigWatcher.RESTART_KEYS.includes(key) && key !== 'bot_settings') {
+            CONFIG[key] = config[key];
+        }
+    }
+
+    allowedRegexOrigins = CONFIG.allowed_regex_origins.map((origin) => new RegExp(origin));
+    app.set('trust proxy', CONFIG.trust_proxy === true);
+
+    if (changed('rate_limit')) {
+        globalRateLimit = createRateLimit();
+    }
+
+    if (changed('bot_settings')) {
+        // Bots keep the Steam options they logged in with
+        CONFIG.bot_settings = Object.assign({}, config.bot_settings, {steam_user: CONFIG.bot_settings.steam_user});
+        botController.updateSettings(CONFIG.bot_settings);
+    }
+
+    if (changed('bot_health')) {
+        botController.setHealthConfig(CONFIG.bot_health);
+    }
+
+    if (changed('relog')) {
+        botController.setRelogConfig(CONFIG.relog);
+    }
+
+    if (changed('proxy_pool') && proxyPoolManager) {
+        proxyPoolManager.setLimits(CONFIG.proxy_pool.max_requests_per_proxy, CONFIG.proxy_pool.request_cooldown,
+            CONFIG.proxy_pool);
+    }
+
+    if (changed('api_keys')) {
+        apiKeys.setConfig(CONFIG.api_keys).catch((e) => winston.warn(`Failed to load API keys: ${e.message || e}`));
+    }
+
+    if (changed('logins')) {
+        applyLogins(CONFIG.logins);
+    }
+}
+
+// Resolved like the require of the config above, relative to this file
+const configWatcher = new ConfigWatcher(require.resolve(args.config));
+
+configWatcher.on('change', applyConfig);
+configWatcher.start(CONFIG.watch_config !== false);
+
+/*
+    Stops taking new jobs and lets the queue finish for up to shutdown_timeout ms, the lookups still pending after
+    that are answered with an error. Then the bots are logged off and the storage backend is flushed and closed.
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        winston.warn(`Received ${signal} again, exiting without finishing the queue`);
+        process.exit(1);
+    }
+
+    shuttingDown = true;
+    winston.info(`Received ${signal}, shutting down with ${queue.inflight.size} lookups pending`);
+
+    configWatcher.stop();
+
+    if (steamGuardPoller) {
+        steamGuardPoller.stop();
+    }
+
+    // Refuse new connections, requests on open ones are answered with ShuttingDown
+    const serverClosed = new Promise((resolve) => http_server.close(resolve));
+
+    const drains = [];
+
+    if (botController.hasBotOnline()) {
+        drains.push(queue.drain(CONFIG.shutdown_timeout));
+    }
+
+    // The lookups this instance received can be finished by the other instances
+    if (cluster && cluster.hasBotOnline()) {
+        drains.push(cluster.drain(CONFIG.shutdown_timeout));
+    }
+
+    if ((await Promise.all(drains)).includes(false)) {
+        winston.warn(`The queue didn't finish within ${CONFIG.shutdown_timeout}ms`);
+    }
+
+    queue.stop();
+
+    // Before the local queue is cleared, so its unfinished lookups are released for the other instances
+    if (cluster) {
+        for (const {job, a} of await cluster.close()) {
+            if (jobJournal && jobJournal.isPending(job)) continue;
+
+            job.setResponse(a, errors.ShuttingDown);
+        }
+    }
+
+    for (const entry of queue.clear()) {
+        for (const link of entry.links) {
+            // Journaled jobs are resumed on the next start instead
+            if (jobJournal && jobJournal.isPending(link.job)) continue;
+
+            link.job.setResponse(entry.data.link.getParams().a, errors.ShuttingDown);
+        }
+    }
+
+    if (jobJournal) {
+        jobJournal.close();
+    }
+
+    botController.stop();
+
+    try {
+        await storage.close();
+    } catch (e) {
+        winston.error(`Failed to close the storage backend: ${e.message || e}`);
+    }
+
+    // Give the last replies a moment to be sent
+    if (io) {
+        io.close();
+    }
+
+    http_server.closeIdleConnections();
+    await Promise.race([serverClosed, new Promise((resolve) => setTimeout(resolve, 1000))]);
+
+    winston.info('Shutdown complete');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,118 @@
+const fs = require('fs'),
+    winston = global.winston || require('winston');
+
+/*
+    Persists the account changes made through the admin endpoints so they survive a restart
+
+    Logins added at runtime are stored with their password (like config.js), so the file is only readable by its owner
+ */
+class AccountState {
+    /**
+     * @param {string} path JSON file to store the state in
+     */
+    constructor(path) {
+        this.path = path;
+
+        // Logins added at runtime, {user, pass, auth}
+        this.added = [];
+        // Usernames of accounts that are kept offline until they are enabled again
+        this.disabled = [];
+        // Username -> {reason, timestamp} of accounts that are never logged in again
+        this.retired = {};
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.path)) return;
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+
+            this.added = state.added || [];
+            this.disabled = state.disabled || [];
+            this.retired = state.retired || {};
+        } catch (e) {
+            winston.error(`Failed to load the account state from ${this.path}: ${e.message}`);
+        }
+    }
+
+    save() {
+        const data = JSON.stringify({added: this.added, disabled: this.disabled, retired: this.retired}, null, 2);
+
+        // Write to a temporary file first so a crash can't leave a truncated state behind
+        fs.writeFileSync(`${this.path}.tmp`, data, {encoding: 'utf8', mode: 0o600});
+        fs.renameSync(`${this.path}.tmp`, this.path);
+    }
+
+    /**
+     * Returns the configured logins with the ones added at runtime, without retired accounts
+     * Disabled accounts are included, check isDisabled before logging them in
+     */
+    getLogins(configLogins) {
+        const logins = [...configLogins];
+
+        for (const login of this.added) {
+            if (!logins.find((l) => l.user === login.user)) {
+                logins.push(login);
+            }
+        }
+
+        return logins.filter((l) => !this.isRetired(l.user));
+    }
+
+    isDisabled(username) {
+        return this.disabled.includes(username);
+    }
+
+    isRetired(username) {
+        return Object.prototype.hasOwnProperty.call(this.retired, username);
+    }
+
+    /*
+        Applies the change and saves the state, the change is undone and the error thrown if it can't be written
+     */
+    update(change) {
+        const previous = {
+            added: [...this.added],
+            disabled: [...this.disabled],
+            retired: Object.assign({}, this.retired),
+        };
+
+        change();
+
+        try {
+            this.save();
+        } catch (e) {
+            Object.assign(this, previous);
+            throw e;
+        }
+    }
+
+    addLogin(login) {
+        this.update(() => {
+            this.added = this.added.filter((l) => l.user !== login.user);
+            this.added.push({user: login.user, pass: login.pass, auth: login.auth});
+            delete this.retired[login.user];
+        });
+    }
+
+    setDisabled(username, disabled) {
+        this.update(() => {
+            this.disabled = this.disabled.filter((u) => u !== username);
+
+            if (disabled) {
+                this.disabled.push(username);
+            }
+        });
+    }
+
+    retire(username, reason) {
+        this.update(() => {
+            this.retired[username] = {reason, timestamp: new Date().toISOString()};
+            this.disabled = this.disabled.filter((u) => u !== username);
+        });
+    }
+}
+
+module.exports = AccountState;
@@ -0,0 +1,270 @@
+const winston = global.winston || require('winston'),
+    crypto = require('crypto');
+
+// Features a key can be allowed to use
+const PERMISSIONS = ['price', 'bulk', 'history', 'admin'];
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// A single API key with its limits and usage counters
+class ApiKey {
+    constructor(key, settings) {
+        this.key = key;
+        // Never expose the key itself in logs or stats
+        this.hash = crypto.createHash('sha256').update(key).digest('hex');
+
+        this.requests = 0;
+        this.links = 0;
+        this.rateLimited = 0;
+        this.lastUsed = null;
+
+        // Fixed rate limit window
+        this.windowStart = 0;
+        this.windowRequests = 0;
+
+        // Links looked up on the current UTC day
+        this.quotaDay = today();
+        this.quotaUsed = 0;
+
+        this.update(settings);
+    }
+
+    /**
+     * Applies new settings while keeping the usage counters
+     * @param {Object} settings {name, permissions, rate_limit: {window_ms, max}, daily_quota, max_bulk_size,
+     *     max_simultaneous_requests, webhook_secret}, a limit of 0 or less (or none) is unlimited
+     */
+    update(settings) {
+        const rateLimit = settings.rate_limit || {};
+
+        this.name = settings.name || this.hash.slice(0, 8);
+        this.permissions = (settings.permissions || []).filter((p) => PERMISSIONS.includes(p));
+        this.rateLimitWindow = rateLimit.window_ms || 60 * 1000;
+        this.rateLimitMax = rateLimit.max || 0;
+        this.dailyQuota = settings.daily_quota || 0;
+        this.maxBulkSize = settings.max_bulk_size || 0;
+        this.maxSimultaneousRequests = settings.max_simultaneous_requests;
+        // Signs the bulk callbacks of the key, so its owner can verify them without knowing the bulk_key
+        this.webhookSecret = settings.webhook_secret || undefined;
+    }
+
+    // Identifies the key in the queue's per caller accounting, can't collide with an IP or another key even if they
+    // share a name
+    get owner() {
+        return `key:${this.hash.slice(0, 16)}`;
+    }
+
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+
+    /**
+     * Counts a request against the rate limit, returns false if the limit is exceeded
+     */
+    consumeRequest() {
+        const now = Date.now();
+
+        if (now - this.windowStart >= this.rateLimitWindow) {
+            this.windowStart = now;
+            this.windowRequests = 0;
+        }
+
+        if (this.rateLimitMax > 0 && this.windowRequests >= this.rateLimitMax) {
+            return this.recordRequest(false);
+        }
+
+        this.windowRequests++;
+        return this.recordRequest(true);
+    }
+
+    /**
+     * Counts a request in the usage of the key, once it was checked against the rate limit. Returns whether it was
+     * allowed
+     */
+    recordRequest(allowed) {
+        if (!allowed) {
+            this.rateLimited++;
+            return false;
+        }
+
+        this.requests++;
+        this.lastUsed = Date.now();
+        return true;
+    }
+
+    /**
+     * Returns whether the amount of links fits in what is left of the daily quota
+     */
+    hasQuota(amount) {
+        if (this.quotaDay !== today()) {
+            this.quotaDay = today();
+            this.quotaUsed = 0;
+        }
+
+        return this.dailyQuota <= 0 || this.quotaUsed + amount <= this.dailyQuota;
+    }
+
+    /**
+     * Counts the links against the daily quota, returns false without counting them if the quota is exceeded
+     */
+    consumeQuota(amount) {
+        if (!this.hasQuota(amount)) {
+            return false;
+        }
+
+        this.recordQuota(amount, this.quotaUsed + amount);
+        return true;
+    }
+
+    /**
+     * Counts links that were checked against the daily quota in the usage of the key
+     * @param {number} amount Amount of links
+     * @param {number} used Links used on the current day with them, which includes those of other instances in
+     *     cluster mode
+     */
+    recordQuota(amount, used) {
+        this.hasQuota(0);
+
+        this.quotaUsed = used;
+        this.links += amount;
+    }
+
+    /**
+     * Returns the milliseconds until the daily quota resets at midnight UTC
+     */
+    static getQuotaReset() {
+        const midnight = new Date();
+        midnight.setUTCHours(24, 0, 0, 0);
+
+        return midnight.getTime() - Date.now();
+    }
+
+    getUsage() {
+        // Resets the quota if the day changed
+        this.hasQuota(0);
+
+        return {
+            name: this.name,
+            permissions: this.permissions,
+            requests: this.requests,
+            links: this.links,
+            rate_limited: this.rateLimited,
+            last_used: this.lastUsed ? new Date(this.lastUsed).toISOString() : null,
+            rate_limit: {window_ms: this.rateLimitWindow, max: this.rateLimitMax},
+            daily_quota: this.dailyQuota,
+            daily_quota_used: this.quotaUsed,
+            max_bulk_size: this.maxBulkSize,
+        };
+    }
+}
+
+/*
+    Loads the API keys from the config and optionally the storage backend
+ */
+class ApiKeys {
+    /**
+     * @param {Object} [config] {require, keys, database, reload_interval} of the api_keys config
+     * @param [storage] Storage backend to load keys from if config.database is enabled
+     */
+    constructor(config, storage) {
+        this.config = config || {};
+        this.storage = storage;
+        this.keys = new Map();
+
+        this.load(this.config.keys || []);
+    }
+
+    get required() {
+        return this.config.require === true;
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    /**
+     * Replaces the keys with the given list of settings, keys that stay keep their usage counters
+     */
+    load(list) {
+        const keys = new Map();
+
+        for (const settings of list) {
+            if (!settings || typeof settings.key !== 'string' || settings.key.length === 0 ||
+                settings.enabled === false) {
+                continue;
+            }
+
+            const existing = this.keys.get(settings.key);
+
+            if (existing) {
+                existing.update(settings);
+                keys.set(settings.key, existing);
+            } else {
+                keys.set(settings.key, new ApiKey(settings.key, settings));
+            }
+        }
+
+        this.keys = keys;
+    }
+
+    /**
+     * Merges the keys stored in the database with the configured ones, the config wins for duplicate keys
+     */
+    async reload() {
+        const stored = await this.storage.getApiKeys();
+        const configured = this.config.keys || [];
+        const configuredKeys = new Set(configured.map((k) => k.key));
+
+        this.load(configured.concat(stored.filter((k) => !configuredKeys.has(k.key))));
+        winston.debug(`Loaded ${this.keys.size} API keys`);
+    }
+
+    /**
+     * Loads the database keys if enabled and keeps reloading them on the reload_interval (seconds)
+     */
+    async start() {
+        if (!this.config.database || !this.storage) return;
+
+        const reload = () => this.reload().catch((e) => winston.warn(`Failed to load API keys: ${e.message || e}`));
+
+        await reload();
+
+        this.interval = setInterval(reload, (this.config.reload_interval || 60) * 1000);
+        this.interval.unref();
+    }
+
+    /**
+     * Applies a changed api_keys config, keys that stay keep their usage counters
+     */
+    async setConfig(config) {
+        this.config = config || {};
+        clearInterval(this.interval);
+
+        // The database keys are merged in by start, loading only the configured ones would drop them meanwhile
+        if (!this.config.database || !this.storage) {
+            this.load(this.config.keys || []);
+        }
+
+        await this.start();
+    }
+
+    get(key) {
+        return typeof key === 'string' ? this.keys.get(key) : undefined;
+    }
+
+    // Returns the key with the given owner (ApiKey.owner), ie. of a job restored without its key
+    getByOwner(owner) {
+        return [...this.keys.values()].find((k) => k.owner === owner);
+    }
+
+    getUsage() {
+        return [...this.keys.values()].map((k) => k.getUsage());
+    }
+}
+
+ApiKeys.PERMISSIONS = PERMISSIONS;
+ApiKeys.ApiKey = ApiKey;
+
+module.exports = ApiKeys;
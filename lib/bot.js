@@ -2,7 +2,10 @@ const winston = global.winston || require('winston'),
     SteamUser = require('steam-user'),
     GlobalOffensive = require('globaloffensive'),
     SteamTotp = require('steam-totp'),
-    EventEmitter = require('events').EventEmitter;
+    EventEmitter = require('events').EventEmitter,
+    BotHealth = require('./bot_health');
+
+const RELOG_TIMEOUT = 5 * 60 * 1000;
 
 class Bot extends EventEmitter {
     /**
@@ -26,48 +29,83 @@ class Bot extends EventEmitter {
         return this.ready_ || false;
     }
 
-    constructor(settings) {
+    /**
+     * Whether the bot is ready and not quarantined, only these bots are given inspect requests
+     * @return {boolean}
+     */
+    get inService() {
+        return this.ready && !this.quarantine;
+    }
+
+    /**
+     * Whether the bot can't take another request, because max_concurrent_requests are pending or the request delay
+     * since the last one hasn't passed
+     * @return {boolean}
+     */
+    get busy() {
+        return this.requests.size >= (this.settings.max_concurrent_requests || 1) ||
+            new Date().getTime() - this.lastRequestTime < this.requestDelay;
+    }
+
+    /**
+     * Whether a relog is in progress, one that didn't reconnect to the GC within RELOG_TIMEOUT no longer counts
+     * @return {boolean}
+     */
+    get relogging() {
+        return this.relogStarted > 0 && Date.now() - this.relogStarted < RELOG_TIMEOUT;
+    }
+
+    /**
+     * Milliseconds to wait between subsequent requests of this bot, adapted to the GC within the adaptive_delay
+     * bounds when enabled
+     * @return {number}
+     */
+    get requestDelay() {
+        const adaptive = this.settings.adaptive_delay;
+
+        if (!adaptive || !adaptive.enable) return this.settings.request_delay;
+
+        const delay = this.adaptiveDelay !== null ? this.adaptiveDelay : this.settings.request_delay;
+        return Math.min(adaptive.max_delay, Math.max(adaptive.min_delay, delay));
+    }
+
+    /**
+     * @param {Object} settings Bot settings
+     * @param {Object} [clients] {SteamUser, GlobalOffensive} client classes, defaults to steam-user and globaloffensive
+     */
+    constructor(settings, clients) {
         super();
 
         this.settings = settings;
-        this.busy = false;
+        this.clients = clients || {SteamUser, GlobalOffensive};
         this.user = null;  // Will be set during login
         this.needsSteamGuard = false;
 
-        this.steamClient = new SteamUser(Object.assign({
+        // Results and latency of the recent inspect requests, the controller quarantines the bot if they're bad
+        this.health = new BotHealth();
+        this.quarantine = null;  // {reason, since, until, timer} while quarantined
+        this.quarantines = 0;  // Consecutive quarantines, reset once a probation is passed
+        this.probation = false;
+
+        // Starts at request_delay once a request completes with adaptive_delay enabled
+        this.adaptiveDelay = null;
+
+        // Pending inspect requests by asset id, up to max_concurrent_requests are pipelined over the GC session
+        this.requests = new Map();
+        this.lastRequestTime = 0;
+
+        this.relogTimer = null;  // Periodic relog scheduled by the BotController
+        this.relogStarted = 0;  // When the running relog started, until the bot is connected to the GC again
+
+        this.steamClient = new this.clients.SteamUser(Object.assign({
             promptSteamGuardCode: false,
             enablePicsCache: true // Required to check if we own CSGO with ownsApp
         }, this.settings.steam_user));
 
-        this.csgoClient = new GlobalOffensive(this.steamClient);
+        this.csgoClient = new this.clients.GlobalOffensive(this.steamClient);
 
         // set up event handlers
         this.bindEventHandlers();
-
-        // Variance to apply so that each bot relogins at different times
-        const variance = parseInt(Math.random() * 4 * 60 * 1000);
-
-        // As of 7/10/2020, GC inspect calls can timeout repeatedly for whatever reason
-        setInterval(() => {
-            if (this.csgoClient.haveGCSession) {
-                this.relogin = true;
-                this.steamClient.relog();
-            }
-        }, 30 * 60 * 1000 + variance);
-
-        // Disabled aggressive 5-minute reconnection - was causing connection instability
-        // Proxy sessions typically last 15 minutes, only the 30-minute GC reconnect should be needed
-        // If proxy rotation is needed, it should be increased to at least 15 minutes
-        /*
-        const proxyVariance = parseInt(Math.random() * 30 * 1000); // 0-30 seconds variance
-        setInterval(() => {
-            winston.debug(`${this.username} performing proxy session refresh`);
-            if (this.steamClient.steamID) {
-                this.relogin = true;
-                this.steamClient.relog();
-            }
-        }, 5 * 60 * 1000 + proxyVariance);
-        */
     }
 
     logIn(username, password, auth, steamGuardCode = null) {
@@ -117,13 +155,66 @@ class Bot extends EventEmitter {
         this.steamClient.logOn(this.loginData);
     }
 
+    /**
+     * Logs the bot off for good, the pending requests are rejected
+     */
+    logOff() {
+        winston.info(`Logging off ${this.username}`);
+
+        const requests = [...this.requests.keys()].map((a) => this.finishRequest(a));
+        this.ready = false;
+
+        for (const request of requests) {
+            request.reject('Bot logged off');
+        }
+
+        this.steamClient.logOff();
+    }
+
+    /**
+     * Restarts the Steam session, or logs in again if the bot isn't logged on
+     */
+    relog() {
+        this.relogStarted = Date.now();
+
+        if (this.steamClient.steamID) {
+            winston.info(`Relogging ${this.username}`);
+            this.relogin = true;
+            this.steamClient.relog();
+        } else {
+            this.logIn();
+        }
+    }
+
+    /**
+     * Lowers the adaptive delay by a step after a successful request, and backs off after a timeout since the GC
+     * times out requests when it throttles the bot
+     */
+    adaptDelay(timedOut) {
+        const adaptive = this.settings.adaptive_delay;
+
+        if (!adaptive || !adaptive.enable) return;
+
+        const current = this.requestDelay;
+        const next = timedOut ? Math.max(current * adaptive.backoff_factor, current + adaptive.step_down)
+            : current - adaptive.step_down;
+
+        this.adaptiveDelay = Math.round(Math.min(adaptive.max_delay, Math.max(adaptive.min_delay, next)));
+
+        if (timedOut) {
+            winston.debug(`${this.username} backed off its request delay to ${this.adaptiveDelay}ms`);
+        }
+    }
+
     bindEventHandlers() {
         // Handle Steam Guard code prompts
         this.steamClient.on('steamGuard', (domain, callback, lastCodeWrong) => {
             winston.warn(`${this.username} got Steam Guard prompt (domain: ${domain}, lastCodeWrong: ${lastCodeWrong})`);
             // Don't provide a code, instead emit loginFailed to trigger retry
-            // These accounts don't actually have Steam Guard, it's a false positive
-            this.emit('loginFailed', new Error('Steam Guard prompt - false positive'), 'steamguard');
+            // These accounts don't actually have Steam Guard, it's a false positive unless a code was emailed
+            const err = new Error('Steam Guard prompt - false positive');
+            err.domain = domain;
+            this.emit('loginFailed', err, 'steamguard');
             // Disconnect to properly abort the login attempt
             this.steamClient.logOff();
             // Don't call the callback - we're aborting
@@ -237,59 +328,48 @@ class Bot extends EventEmitter {
         });
 
         this.csgoClient.on('inspectItemInfo', (itemData) => {
-            if (this.resolve && this.currentRequest) {
-                itemData = {iteminfo: itemData};
+            // Match the response to its request, the GC may answer pipelined requests out of order
+            const request = this.finishRequest(itemData.itemid);
+            if (!request) return;
 
-                // Ensure the received itemid is the same as what we want
-                if (itemData.iteminfo.itemid !== this.currentRequest.a) return;
+            itemData = {iteminfo: itemData};
 
-                // Clear any TTL timeout
-                if (this.ttlTimeout) {
-                    clearTimeout(this.ttlTimeout);
-                    this.ttlTimeout = false;
-                }
+            this.adaptDelay(false);
 
-                // GC requires a delay between subsequent requests
-                // Figure out how long to delay until this bot isn't busy anymore
-                let offset = new Date().getTime() - this.currentRequest.time;
-                let delay = this.settings.request_delay - offset;
+            // GC requires a delay between subsequent requests
+            // Figure out how long to delay until this bot isn't busy anymore
+            let offset = new Date().getTime() - this.lastRequestTime;
+            let delay = this.requestDelay - offset;
 
-                // If we're past the request delay, don't delay
-                if (delay < 0) delay = 0;
+            // If we're past the request delay, don't delay
+            if (delay < 0) delay = 0;
 
-                itemData.delay = delay;
-                itemData.iteminfo.s = this.currentRequest.s;
-                itemData.iteminfo.a = this.currentRequest.a;
-                itemData.iteminfo.d = this.currentRequest.d;
-                itemData.iteminfo.m = this.currentRequest.m;
+            itemData.delay = delay;
+            itemData.iteminfo.s = request.s;
+            itemData.iteminfo.a = request.a;
+            itemData.iteminfo.d = request.d;
+            itemData.iteminfo.m = request.m;
 
-                // If the paintseed is 0, the proto returns null, force 0
-                itemData.iteminfo.paintseed = itemData.iteminfo.paintseed || 0;
+            // If the paintseed is 0, the proto returns null, force 0
+            itemData.iteminfo.paintseed = itemData.iteminfo.paintseed || 0;
 
-                // paintwear -> floatvalue to match previous API version response
-                itemData.iteminfo.floatvalue = itemData.iteminfo.paintwear;
-                delete itemData.iteminfo.paintwear;
+            // paintwear -> floatvalue to match previous API version response
+            itemData.iteminfo.floatvalue = itemData.iteminfo.paintwear;
+            delete itemData.iteminfo.paintwear;
 
-                // Backwards compatibility with previous node-globaloffensive versions
-                for (const sticker of itemData.iteminfo.stickers) {
-                    sticker.stickerId = sticker.sticker_id;
-                    delete sticker.sticker_id;
-                }
-
-                this.resolve(itemData);
-                this.resolve = false;
-                this.currentRequest = false;
-
-                setTimeout(() => {
-                    // We're no longer busy (satisfied request delay)
-                    this.busy = false;
-                }, delay);
+            // Backwards compatibility with previous node-globaloffensive versions
+            for (const sticker of itemData.iteminfo.stickers) {
+                sticker.stickerId = sticker.sticker_id;
+                delete sticker.sticker_id;
             }
+
+            request.resolve(itemData);
         });
 
         this.csgoClient.on('connectedToGC', () => {
             winston.info(`${this.username} CSGO Client Ready!`);
 
+            this.relogStarted = 0;
             this.ready = true;
         });
 
@@ -308,60 +388,65 @@ class Bot extends EventEmitter {
             winston.debug(msg);
         });
 
-        this.csgoClient.on('inspectItemTimedOut', () => {
-            if (this.resolve && this.currentRequest) {
-                winston.warn(`${this.username} Inspect request timed out for asset ${this.currentRequest.a}`);
-                
-                // Clear the TTL timeout
-                if (this.ttlTimeout) {
-                    clearTimeout(this.ttlTimeout);
-                    this.ttlTimeout = false;
-                }
-                
-                // Store the reject function before clearing
-                const rejectFn = this.reject;
-                
-                // Mark as not busy and clear current request
-                this.busy = false;
-                this.currentRequest = false;
-                this.resolve = false;
-                this.reject = false;
-                
-                // Reject the promise with timeout error
-                if (rejectFn) {
-                    rejectFn('GC inspect timeout');
-                }
-            }
+        this.csgoClient.on('inspectItemTimedOut', (assetid) => {
+            const request = this.finishRequest(assetid);
+            if (!request) return;
+
+            winston.warn(`${this.username} Inspect request timed out for asset ${assetid}`);
+
+            this.adaptDelay(true);
+            request.reject('GC inspect timeout');
         });
     }
 
+    /**
+     * Removes the pending request for the asset and clears its TTL, returns it if there was one
+     */
+    finishRequest(assetid) {
+        const request = this.requests.get(assetid);
+        if (!request) return;
+
+        clearTimeout(request.ttlTimeout);
+        this.requests.delete(assetid);
+
+        return request;
+    }
+
     sendFloatRequest(link) {
-        return new Promise((resolve, reject) => {
-            this.resolve = resolve;
-            this.reject = reject;
-            this.busy = true;
+        const params = link.getParams();
+        const pending = this.requests.get(params.a);
 
-            const params = link.getParams();
-            winston.debug(`${this.username} Fetching for ${params.a}`);
+        // The GC answers each asset once, so a second request for it shares the pending one
+        if (pending) return pending.promise;
 
-            this.currentRequest = {s: params.s, a: params.a, d: params.d, m: params.m, time: new Date().getTime()};
+        if (!this.ready) return Promise.reject('This bot is not ready');
 
-            if (!this.ready) {
-                reject('This bot is not ready');
-            }
-            else {
-                // The first param (owner) depends on the type of inspect link
-                this.csgoClient.inspectItem(params.s !== '0' ? params.s : params.m, params.a, params.d);
-            }
+        winston.debug(`${this.username} Fetching for ${params.a}`);
 
-            // Set a timeout in case the GC takes too long to respond
-            this.ttlTimeout = setTimeout(() => {
-                // GC didn't respond in time, reset and reject
-                this.busy = false;
-                this.currentRequest = false;
-                reject('ttl exceeded');
-            }, this.settings.request_ttl);
+        const request = {s: params.s, a: params.a, d: params.d, m: params.m, time: new Date().getTime()};
+
+        request.promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
         });
+
+        // Set a timeout in case the GC takes too long to respond
+        request.ttlTimeout = setTimeout(() => {
+            // GC didn't respond in time, reset and reject
+            this.finishRequest(params.a);
+
+            // Requests lost to a GC disconnect don't say anything about throttling
+            if (this.ready) this.adaptDelay(true);
+            request.reject('ttl exceeded');
+        }, this.settings.request_ttl);
+
+        this.requests.set(params.a, request);
+        this.lastRequestTime = request.time;
+
+        // The first param (owner) depends on the type of inspect link
+        this.csgoClient.inspectItem(params.s !== '0' ? params.s : params.m, params.a, params.d);
+
+        return request.promise;
     }
 
     updateProxySettings(proxyUrl) {
@@ -387,7 +472,7 @@ class Bot extends EventEmitter {
         // Recreate Steam client with new settings
         if (this.steamClient) {
             this.steamClient.logOff();
-            this.steamClient = new SteamUser(Object.assign({
+            this.steamClient = new this.clients.SteamUser(Object.assign({
                 promptSteamGuardCode: false,
                 enablePicsCache: true
             }, this.settings.steam_user));
@@ -396,7 +481,7 @@ class Bot extends EventEmitter {
             this.bindEventHandlers();
             
             // Update CS:GO client
-            this.csgoClient = new GlobalOffensive(this.steamClient);
+            this.csgoClient = new this.clients.GlobalOffensive(this.steamClient);
         }
     }
 }
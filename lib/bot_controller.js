@@ -1,21 +1,40 @@
 const Bot = require('./bot'),
+    BotHealth = require('./bot_health'),
     utils = require('./utils'),
     EventEmitter = require('events').EventEmitter,
     errors = require('../errors');
 
+// Defaults of the relog config
+const RELOG_DEFAULTS = {
+    enable: true,
+    interval: 30 * 60 * 1000,
+    jitter: 4 * 60 * 1000,
+    idle_only: false,
+    max_concurrent: 0,
+};
+
+// Milliseconds until a periodic relog held back by idle_only or max_concurrent is tried again
+const RELOG_RETRY_DELAY = 1000;
+
 // Use global winston if available, otherwise require it
 const winston = global.winston || require('winston');
 
 class BotController extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} [clients] {SteamUser, GlobalOffensive} client classes for new bots (ie. from mock_gc)
+     */
+    constructor(clients) {
         super();
 
+        this.clients = clients;
         this.readyEvent = false;
         this.bots = [];
         this.proxyPoolManager = null;
+        this.steamGuardPoller = null;
         this.pendingAuthBots = new Map();  // Track bots waiting for Steam Guard
         this.spareAccounts = [];  // Accounts not yet tried
         this.failedAccounts = new Map();  // Accounts that permanently failed
+        this.disabledAccounts = new Map();  // Accounts kept offline, username -> {loginData, settings}
         this.maxOnlineBots = 300;  // Default, will be overridden by config
         this.botRetryCount = new Map();  // Track retry attempts per account
         
@@ -23,13 +42,21 @@ class BotController extends EventEmitter {
         this.spareAccountQueue = [];  // Queue of spare accounts waiting to be added
         this.isProcessingSpareQueue = false;  // Flag to prevent multiple queue processors
         this.spareAccountDelay = 5000;  // 5 seconds between spare account logins
+
+        this.healthConfig = Object.assign({}, BotHealth.DEFAULTS);
+        this.relogConfig = Object.assign({}, RELOG_DEFAULTS);
     }
 
     addBot(loginData, settings) {
-        let bot = new Bot(settings);
+        let bot = new Bot(settings, this.clients);
+        bot.health.window = this.healthConfig.window;
         
         // IMPORTANT: Set up event handlers BEFORE calling logIn to ensure we catch immediate failures
         bot.on('ready', () => {
+            // A new GC session, a relog asked for by a quarantine isn't needed anymore
+            bot.quarantineRelog = false;
+            this.scheduleRelog(bot);
+
             if (!this.readyEvent && this.hasBotOnline()) {
                 this.readyEvent = true;
                 this.emit('ready');
@@ -89,7 +116,7 @@ class BotController extends EventEmitter {
         
         // Fallback to original logic if no proxy pool manager
         for (let bot of utils.shuffleArray(this.bots)) {
-            if (!bot.busy && bot.ready) return bot;
+            if (!bot.busy && bot.inService) return bot;
         }
 
         return false;
@@ -97,22 +124,39 @@ class BotController extends EventEmitter {
 
     hasBotOnline() {
         for (let bot of this.bots) {
-            if (bot.ready) return true;
+            if (bot.inService) return true;
         }
 
         return false;
     }
 
+    // Amount of bots that can take requests, quarantined bots are left out
     getReadyAmount() {
         let amount = 0;
         for (const bot of this.bots) {
-            if (bot.ready) {
+            if (bot.inService) {
                 amount++;
             }
         }
         return amount;
     }
 
+    // Amount of requests the bots in service can have pending at once
+    getCapacity() {
+        return this.bots.filter((bot) => bot.inService)
+            .reduce((sum, bot) => sum + (bot.settings.max_concurrent_requests || 1), 0);
+    }
+
+    // Amount of logged in bots including quarantined ones, which count towards max_online_bots
+    getOnlineAmount() {
+        return this.bots.filter((bot) => bot.ready).length;
+    }
+
+    // Bots prompted for an emailed Steam Guard code wait for the poller to find it instead of retrying
+    setSteamGuardPoller(poller) {
+        this.steamGuardPoller = poller;
+    }
+
     setProxyPoolManager(manager) {
         this.proxyPoolManager = manager;
         if (manager && this.bots.length > 0) {
@@ -130,6 +174,13 @@ class BotController extends EventEmitter {
         winston.warn(`Bot ${loginData.user} login failed: ${error.message || error} (reason: ${reason})`);
         winston.debug(`Bot ${loginData.user} - Starting retry logic for reason: ${reason}`);
         
+        // Wait for the code that was emailed if the Steam Guard poller reads the mailbox, retrying would only send
+        // another mail
+        if (reason === 'steamguard' && error.domain && this.steamGuardPoller) {
+            this.handleAuthRequired(bot, loginData, error, 'email');
+            return;
+        }
+
         // For Steam Guard errors (false positives), retry with longer delay
         if (reason === 'steamguard') {
             winston.info(`Bot ${loginData.user} got false Steam Guard prompt, will retry with different proxy in 15 seconds`);
@@ -141,11 +192,11 @@ class BotController extends EventEmitter {
                 
                 if (retryInfo.shouldRetry && retryInfo.newProxy) {
                     winston.info(`Bot ${loginData.user} - Scheduling retry #${retryInfo.retryCount} with proxy group ${retryInfo.newProxy.proxyGroupId} in 15 seconds`);
-                    setTimeout(() => {
+                    this.scheduleLoginRetry(bot, 15000, () => {
                         winston.info(`Retrying bot ${loginData.user} with proxy group ${retryInfo.newProxy.proxyGroupId} after Steam Guard error`);
                         bot.updateProxySettings(retryInfo.newProxy.proxyUrl);
                         bot.logIn(loginData.user, loginData.pass, loginData.auth);
-                    }, 15000); // 15 second delay for Steam Guard errors
+                    }); // 15 second delay for Steam Guard errors
                     return;
                 }
             }
@@ -192,7 +243,7 @@ class BotController extends EventEmitter {
         winston.info(`Bot ${loginData.user} - Scheduling retry #${retryInfo.retryCount} in ${delay}ms`);
         
         // Schedule retry
-        setTimeout(() => {
+        this.scheduleLoginRetry(bot, delay, () => {
             if (retryInfo.newProxy) {
                 winston.info(`Retrying bot ${loginData.user} with proxy group ${retryInfo.newProxy.proxyGroupId} (success rate: ${(retryInfo.newProxy.successRate * 100).toFixed(1)}%)`);
                 bot.updateProxySettings(retryInfo.newProxy.proxyUrl);
@@ -203,6 +254,17 @@ class BotController extends EventEmitter {
             // Retry login
             winston.debug(`Bot ${loginData.user} - Initiating login retry`);
             bot.logIn(loginData.user, loginData.pass, loginData.auth);
+        });
+    }
+
+    // Retries the login of the bot after the delay, unless the bot was removed (ie. disabled or retired) meanwhile
+    scheduleLoginRetry(bot, delay, retry) {
+        clearTimeout(bot.loginRetryTimer);
+
+        bot.loginRetryTimer = setTimeout(() => {
+            bot.loginRetryTimer = null;
+
+            if (this.bots.includes(bot)) retry();
         }, delay);
     }
 
@@ -210,7 +272,24 @@ class BotController extends EventEmitter {
         let freeBot = this.getFreeBot();
 
         if (freeBot) {
-            return freeBot.sendFloatRequest(data).finally(() => {
+            const started = Date.now();
+
+            // Reports the GC latency of the bot with 'success', 'timeout' or 'error'
+            const inspected = (result) => {
+                const latency = Date.now() - started;
+
+                freeBot.health.record(result, latency);
+                this.emit('inspected', freeBot, latency, result);
+                this.checkHealth(freeBot);
+            };
+
+            return freeBot.sendFloatRequest(data).then((itemData) => {
+                inspected('success');
+                return itemData;
+            }, (err) => {
+                inspected(err === 'ttl exceeded' || err === 'GC inspect timeout' ? 'timeout' : 'error');
+                throw err;
+            }).finally(() => {
                 // Release bot back to pool after request completes
                 this.releaseBot(freeBot, true);
             });
@@ -218,6 +297,175 @@ class BotController extends EventEmitter {
         else return Promise.reject(errors.NoBotsAvailable);
     }
 
+    /**
+     * Applies the bot_health config, the thresholds take effect with the next request of each bot
+     */
+    setHealthConfig(config) {
+        this.healthConfig = Object.assign({}, BotHealth.DEFAULTS, config);
+
+        for (const bot of this.bots) {
+            bot.health.window = this.healthConfig.window;
+
+            if (!this.healthConfig.enable) {
+                this.releaseQuarantine(bot);
+            }
+        }
+    }
+
+    // Quarantines the bot if its recent requests fall below the bot_health thresholds
+    checkHealth(bot) {
+        const config = this.healthConfig;
+
+        if (!config.enable || bot.quarantine || !this.bots.includes(bot)) return;
+
+        const problem = bot.health.getProblem(config);
+
+        if (!problem) {
+            if (bot.probation && bot.health.samples.length >= config.min_samples) {
+                winston.info(`${bot.username} passed its probation`);
+                bot.probation = false;
+                bot.quarantines = 0;
+            }
+
+            return;
+        }
+
+        // When most bots fail the GC is more likely at fault than the bots, keep the rest in service
+        const quarantined = this.bots.filter((b) => b.quarantine).length;
+
+        if (quarantined + 1 > this.bots.length * config.max_quarantined_ratio) {
+            winston.debug(`Not quarantining ${bot.username} (${problem}), ${quarantined} bots already are`);
+            return;
+        }
+
+        this.quarantineBot(bot, problem);
+    }
+
+    /**
+     * Takes the bot out of service and relogs it, it is put back on probation after the quarantine_time
+     * Consecutive quarantines of a bot last twice as long each time, up to 8 times the quarantine_time
+     */
+    quarantineBot(bot, reason) {
+        bot.quarantines++;
+
+        const duration = this.healthConfig.quarantine_time * Math.min(8, Math.pow(2, bot.quarantines - 1));
+        winston.warn(`Quarantining ${bot.username} for ${duration}ms (${reason})`);
+
+        bot.quarantine = {
+            reason,
+            since: Date.now(),
+            until: Date.now() + duration,
+            timer: setTimeout(() => this.releaseQuarantine(bot), duration),
+        };
+        bot.probation = false;
+
+        // A new GC session often fixes a bot that keeps timing out, it waits its turn like periodic relogs
+        bot.quarantineRelog = true;
+        this.scheduleRelog(bot, 0);
+    }
+
+    // Puts the bot back in service on probation with a clean record, it is quarantined again if it fails
+    releaseQuarantine(bot) {
+        if (!bot.quarantine) return;
+
+        clearTimeout(bot.quarantine.timer);
+        winston.info(`Releasing ${bot.username} from quarantine on probation`);
+
+        bot.quarantine = null;
+        bot.probation = true;
+        bot.health.reset();
+    }
+
+    /**
+     * Applies the relog config, the bots in service are rescheduled with it
+     */
+    setRelogConfig(config) {
+        this.relogConfig = Object.assign({}, RELOG_DEFAULTS, config);
+
+        for (const bot of this.bots) {
+            if (bot.ready) this.scheduleRelog(bot);
+        }
+    }
+
+    /**
+     * Schedules the periodic relog of the bot after the interval plus up to jitter milliseconds, so bots that
+     * connected together don't relog together
+     * The relog of a quarantined bot is scheduled even if periodic relogs are disabled
+     */
+    scheduleRelog(bot, delay) {
+        clearTimeout(bot.relogTimer);
+        bot.relogTimer = null;
+
+        if ((!this.relogConfig.enable && !bot.quarantineRelog) || !this.bots.includes(bot)) return;
+
+        if (delay === undefined) {
+            delay = this.relogConfig.interval + Math.random() * this.relogConfig.jitter;
+        }
+
+        bot.relogTimer = setTimeout(() => this.periodicRelog(bot), delay);
+    }
+
+    // As of 7/10/2020, GC inspect calls can timeout repeatedly for whatever reason, a new GC session fixes it
+    periodicRelog(bot) {
+        const config = this.relogConfig;
+
+        clearTimeout(bot.relogTimer);
+        bot.relogTimer = null;
+
+        // The bot is scheduled again once it reconnects
+        if (!this.bots.includes(bot) || !bot.csgoClient.haveGCSession) return;
+
+        if (config.idle_only && bot.requests.size > 0) {
+            this.scheduleRelog(bot, RELOG_RETRY_DELAY);
+            return;
+        }
+
+        // Every relogging bot is out of service for a while, don't let too many of them go at once
+        if (config.max_concurrent > 0 && this.bots.filter((b) => b.relogging).length >= config.max_concurrent) {
+            winston.debug(`Holding back the relog of ${bot.username}, ${config.max_concurrent} bots are relogging`);
+            this.scheduleRelog(bot, RELOG_RETRY_DELAY);
+            return;
+        }
+
+        bot.relog();
+    }
+
+    /**
+     * Returns the health of each bot for /status
+     */
+    getBotHealth() {
+        return this.bots.map((bot) => {
+            let state = 'healthy';
+
+            if (bot.quarantine) state = 'quarantined';
+            else if (bot.probation) state = 'probation';
+
+            return Object.assign({
+                username: bot.username,
+                ready: bot.ready,
+                state,
+                quarantine: bot.quarantine ? {
+                    reason: bot.quarantine.reason,
+                    since: new Date(bot.quarantine.since).toISOString(),
+                    until: new Date(bot.quarantine.until).toISOString(),
+                } : null,
+            }, bot.health.getStats());
+        });
+    }
+
+    /**
+     * Returns the effective request delay of each bot by username
+     */
+    getRequestDelays() {
+        const delays = {};
+
+        for (const bot of this.bots) {
+            delays[bot.username] = bot.requestDelay;
+        }
+
+        return delays;
+    }
+
     handleAuthRequired(bot, loginData, error, authType) {
         winston.warn(`Bot ${loginData.user} requires Steam Guard (${authType})`);
         
@@ -287,7 +535,7 @@ class BotController extends EventEmitter {
             return false;
         }
 
-        const readyCount = this.getReadyAmount();
+        const readyCount = this.getOnlineAmount();
         const queuedCount = this.spareAccountQueue.length;
         const projectedTotal = readyCount + queuedCount;
         
@@ -310,6 +558,169 @@ class BotController extends EventEmitter {
         return true;
     }
 
+    // Find a bot (logged in or not) by its account name
+    findBot(username) {
+        return this.bots.find((bot) => bot.username === username);
+    }
+
+    // Whether the account is in use, disabled or waiting as a spare
+    hasAccount(username) {
+        return !!this.findBot(username) || this.disabledAccounts.has(username) ||
+            this.spareAccounts.some((a) => a.loginData.user === username) ||
+            this.spareAccountQueue.some((a) => a.loginData.user === username);
+    }
+
+    // Log a bot off and stop using it
+    removeBot(bot) {
+        // Remove it first so the unready handler doesn't count it
+        this.bots = this.bots.filter((b) => b !== bot);
+        this.pendingAuthBots.delete(bot.username);
+
+        if (bot.quarantine) {
+            clearTimeout(bot.quarantine.timer);
+        }
+
+        clearTimeout(bot.relogTimer);
+        clearTimeout(bot.loginRetryTimer);
+
+        if (this.proxyPoolManager) {
+            this.proxyPoolManager.removeBot(bot);
+        }
+
+        bot.logOff();
+    }
+
+    // Start using a new account, it is logged in right away unless it is added as a spare
+    addAccount(loginData, settings, spare = false) {
+        this.failedAccounts.delete(loginData.user);
+
+        if (spare) {
+            this.spareAccounts.push({loginData, settings});
+            return;
+        }
+
+        this.addBot(loginData, settings);
+
+        if (this.proxyPoolManager) {
+            this.proxyPoolManager.distributeBots(this.bots);
+        }
+    }
+
+    // Stop using the account wherever it is (logging it off if needed), returns false if it is unknown
+    removeAccount(username) {
+        if (!this.hasAccount(username)) return false;
+
+        const bot = this.findBot(username);
+        if (bot) {
+            this.removeBot(bot);
+        }
+
+        this.disabledAccounts.delete(username);
+        this.spareAccounts = this.spareAccounts.filter((a) => a.loginData.user !== username);
+        this.spareAccountQueue = this.spareAccountQueue.filter((a) => a.loginData.user !== username);
+        return true;
+    }
+
+    // Apply new bot settings to every account, proxies and steam_user options only apply to new bots
+    updateSettings(settings) {
+        const accounts = [...this.disabledAccounts.values(), ...this.spareAccounts, ...this.spareAccountQueue];
+
+        for (const target of this.bots.map((bot) => bot.settings).concat(accounts.map((a) => a.settings))) {
+            for (const [key, value] of Object.entries(settings)) {
+                if (key !== 'steam_user') {
+                    target[key] = value;
+                }
+            }
+        }
+    }
+
+    // Log off every bot on shutdown, spares are no longer used to replace them
+    stop() {
+        this.spareAccounts = [];
+        this.spareAccountQueue = [];
+
+        for (const bot of [...this.bots]) {
+            this.removeBot(bot);
+        }
+    }
+
+    // Keep an account offline until enableBot is called
+    disableAccount(loginData, settings) {
+        this.disabledAccounts.set(loginData.user, {loginData, settings});
+    }
+
+    // Whether the account is kept offline until enableBot is called
+    isDisabled(username) {
+        return this.disabledAccounts.has(username);
+    }
+
+    // Log off the bot of the account and keep it offline, returns false if there is no such bot
+    disableBot(username) {
+        const bot = this.findBot(username);
+        if (!bot) return false;
+
+        winston.info(`Disabling bot ${username}`);
+
+        this.removeBot(bot);
+        this.disableAccount({user: bot.username, pass: bot.password, auth: bot.auth}, bot.settings);
+        return true;
+    }
+
+    // Log in a disabled account again, returns false if it isn't disabled
+    enableBot(username) {
+        const account = this.disabledAccounts.get(username);
+        if (!account) return false;
+
+        winston.info(`Enabling bot ${username}`);
+
+        this.disabledAccounts.delete(username);
+        this.addBot(account.loginData, account.settings);
+
+        if (this.proxyPoolManager) {
+            this.proxyPoolManager.distributeBots(this.bots);
+        }
+
+        return true;
+    }
+
+    // Restart the Steam session of the bot, returns false if there is no such bot
+    relogBot(username) {
+        const bot = this.findBot(username);
+        if (!bot) return false;
+
+        bot.relog();
+        return true;
+    }
+
+    // Stop using the account for good (logging it off if needed) and replace it with a spare
+    retireAccount(username, reason) {
+        if (!this.removeAccount(username)) return false;
+
+        this.markAccountFailed(username, reason);
+        return true;
+    }
+
+    // Get the accounts by state for the admin endpoints
+    getAccounts() {
+        return {
+            bots: this.bots.map((bot) => ({
+                username: bot.username,
+                ready: bot.ready,
+                busy: bot.busy,
+                pending_requests: bot.requests.size,
+                quarantined: !!bot.quarantine,
+                proxy_group: bot.proxyGroupId,
+            })),
+            disabled: [...this.disabledAccounts.keys()],
+            spares: this.spareAccountQueue.concat(this.spareAccounts).map((a) => a.loginData.user),
+            failed: [...this.failedAccounts].map(([username, data]) => ({
+                username,
+                reason: data.reason,
+                timestamp: new Date(data.timestamp).toISOString(),
+            })),
+        };
+    }
+
     // Mark an account as permanently failed
     markAccountFailed(username, reason) {
         this.failedAccounts.set(username, {
@@ -335,7 +746,7 @@ class BotController extends EventEmitter {
         winston.info(`Starting to process spare account queue (${this.spareAccountQueue.length} accounts queued)`);
         
         while (this.spareAccountQueue.length > 0) {
-            const readyCount = this.getReadyAmount();
+            const readyCount = this.getOnlineAmount();
             
             // Check if we still need more bots
             if (readyCount >= this.maxOnlineBots) {
@@ -368,7 +779,7 @@ class BotController extends EventEmitter {
 
     // Check if we should try spare accounts to maintain target online count
     checkAndMaintainBotCount() {
-        const readyCount = this.getReadyAmount();
+        const readyCount = this.getOnlineAmount();
         const queuedCount = this.spareAccountQueue.length;
         const target = this.maxOnlineBots;
         
@@ -385,8 +796,9 @@ class BotController extends EventEmitter {
     // Get status of bot system
     getBotStatus() {
         const totalBots = this.bots.length;
-        const readyBots = this.getReadyAmount();
+        const readyBots = this.getOnlineAmount();
         const busyBots = this.bots.filter(bot => bot.busy).length;
+        const quarantinedBots = this.bots.filter(bot => bot.quarantine).length;
         const failedAccounts = this.failedAccounts.size;
         const sparesRemaining = this.spareAccounts.length;
         const pendingAuth = this.pendingAuthBots.size;
@@ -397,12 +809,13 @@ class BotController extends EventEmitter {
             target: this.maxOnlineBots,
             total: totalBots,
             busy: busyBots,
+            quarantined: quarantinedBots,
             failed: failedAccounts,
             spares: sparesRemaining,
             queuedSpares: queuedSpares,
             pendingAuth: pendingAuth,
-            status: readyBots >= this.maxOnlineBots ? 'optimal' : 
-                    (sparesRemaining > 0 || queuedSpares > 0) ? 'recovering' : 'degraded'
+            status: readyBots >= this.maxOnlineBots ? 'optimal' :
+                (sparesRemaining > 0 || queuedSpares > 0) ? 'recovering' : 'degraded'
         };
     }
 }
@@ -0,0 +1,93 @@
+// Defaults of the bot_health config
+const DEFAULTS = {
+    enable: false,
+    window: 20,
+    min_samples: 10,
+    min_success_rate: 0.5,
+    max_timeout_rate: 0.5,
+    max_median_latency: 0,
+    quarantine_time: 60000,
+    max_quarantined_ratio: 0.5,
+};
+
+/*
+    Rolling record of the last inspect requests of a bot, with their result ('success', 'timeout' or 'error') and
+    GC latency
+ */
+class BotHealth {
+    /**
+     * @param {number} [window] Amount of recent requests the rates and the median latency are computed over
+     */
+    constructor(window) {
+        this.window = window || DEFAULTS.window;
+        this.samples = [];
+    }
+
+    record(result, latency) {
+        this.samples.push({result, latency});
+
+        if (this.samples.length > this.window) {
+            this.samples.splice(0, this.samples.length - this.window);
+        }
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    rate(result) {
+        if (this.samples.length === 0) return 0;
+
+        return this.samples.filter((s) => s.result === result).length / this.samples.length;
+    }
+
+    get successRate() {
+        return this.samples.length === 0 ? 1 : this.rate('success');
+    }
+
+    get timeoutRate() {
+        return this.rate('timeout');
+    }
+
+    // Median GC latency of the successful requests, timeouts would only measure the request_ttl
+    get medianLatency() {
+        const latencies = this.samples.filter((s) => s.result === 'success').map((s) => s.latency).sort((a, b) => a - b);
+
+        if (latencies.length === 0) return 0;
+
+        const middle = Math.floor(latencies.length / 2);
+        return latencies.length % 2 ? latencies[middle] : Math.round((latencies[middle - 1] + latencies[middle]) / 2);
+    }
+
+    /**
+     * Returns why the bot should be quarantined according to the bot_health config, or undefined if it is healthy
+     */
+    getProblem(config) {
+        if (this.samples.length < config.min_samples) return;
+
+        if (this.successRate < config.min_success_rate) {
+            return `success rate ${Math.round(this.successRate * 100)}%`;
+        }
+
+        if (this.timeoutRate > config.max_timeout_rate) {
+            return `timeout rate ${Math.round(this.timeoutRate * 100)}%`;
+        }
+
+        if (config.max_median_latency > 0 && this.medianLatency > config.max_median_latency) {
+            return `median latency ${this.medianLatency}ms`;
+        }
+    }
+
+    getStats() {
+        return {
+            samples: this.samples.length,
+            success_rate: Math.round(this.successRate * 1000) / 1000,
+            timeout_rate: Math.round(this.timeoutRate * 1000) / 1000,
+            median_latency_ms: this.medianLatency,
+        };
+    }
+}
+
+BotHealth.DEFAULTS = DEFAULTS;
+
+module.exports = BotHealth;
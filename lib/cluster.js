@@ -0,0 +1,594 @@
+const { Pool, Client } = require('pg'),
+    os = require('os'),
+    EventEmitter = require('events').EventEmitter,
+    Job = require('./job'),
+    InspectURL = require('./inspect_url'),
+    winston = global.winston || require('winston');
+
+// Channels notified when links are added to the shared queue and when results are stored for an instance
+const QUEUE_CHANNEL = 'csgofloat_queue';
+const RESULT_CHANNEL = 'csgofloat_results';
+
+// Instances are considered gone after this many heartbeat intervals without one
+const MISSED_HEARTBEATS = 3;
+
+/*
+    Shares the work queue of several instances through Postgres
+
+    Every link is a row of cluster_queue inserted by the instance that received the request (its origin). Instances
+    with free bots claim rows with FOR UPDATE SKIP LOCKED, look them up through their local queue and store the
+    result in the row. The origin is woken with NOTIFY, answers the job and deletes the row. Since every waiting link
+    is a row, the queued amounts of each owner and the queue size are counted across the cluster.
+
+    Each instance publishes its stats in cluster_instances with a heartbeat. The rows claimed by an instance that
+    stopped sending one are released for the others.
+ */
+class Cluster extends EventEmitter {
+    /**
+     * @param url Postgres connection string
+     * @param config The cluster config: {instance_id, heartbeat_interval, poll_interval}
+     * @param queue The local queue claimed links are looked up with
+     * @param controller The BotController, the free slots are the ready bots minus the local lookups
+     */
+    constructor(url, config, queue, controller) {
+        super();
+
+        this.url = url;
+        this.id = config.instance_id || os.hostname();
+        this.heartbeatInterval = config.heartbeat_interval || 5000;
+        this.pollInterval = config.poll_interval || 1000;
+        this.queue = queue;
+        this.controller = controller;
+
+        this.pool = new Pool({
+            connectionString: url
+        });
+
+        // Row id -> {job, a} of the links this instance is waiting on
+        this.waiting = new Map();
+
+        // Smooth weighted round robin state of the lanes when claiming
+        this.laneWeights = new Map();
+
+        this.running = false;
+        // Only own rows are claimed while shutting down, so the lookups of this instance can finish
+        this.draining = false;
+        this.claiming = false;
+        this.collecting = null;
+        this.collectAgain = false;
+
+        this.botsOnline = 0;
+        this.listener = null;
+    }
+
+    async connect() {
+        await this.pool.query(`CREATE TABLE IF NOT EXISTS cluster_queue (
+            id              bigserial   NOT NULL,
+            origin          text        NOT NULL,
+            owner           text        NOT NULL,
+            ip              text,
+            lane            text        NOT NULL,
+            link            jsonb       NOT NULL,
+            price           integer,
+            max_attempts    smallint    NOT NULL,
+            claimed_by      text,
+            claimed_at      timestamp,
+            result          jsonb,
+            created_at      timestamp   NOT NULL DEFAULT now(),
+            PRIMARY KEY (id)
+        );
+
+        CREATE TABLE IF NOT EXISTS cluster_instances (
+            id          text        NOT NULL,
+            heartbeat   timestamp   NOT NULL,
+            stats       jsonb       NOT NULL,
+            PRIMARY KEY (id)
+        );
+
+        CREATE TABLE IF NOT EXISTS cluster_counters (
+            key         text        NOT NULL,
+            count       integer     NOT NULL,
+            expires_at  timestamp   NOT NULL,
+            PRIMARY KEY (key)
+        );
+
+        CREATE INDEX IF NOT EXISTS i_cluster_queue_unclaimed ON cluster_queue (lane, id) WHERE claimed_by IS NULL;
+        CREATE INDEX IF NOT EXISTS i_cluster_queue_owner ON cluster_queue (owner) WHERE result IS NULL;
+        `);
+
+        // Rows of a previous run with the same instance id, nobody is waiting on them anymore
+        await this.pool.query('DELETE FROM cluster_queue WHERE origin = $1', [this.id]);
+        await this.pool.query(`UPDATE cluster_queue SET claimed_by = NULL, claimed_at = NULL
+                                WHERE claimed_by = $1 AND result IS NULL`, [this.id]);
+    }
+
+    /**
+     * Starts claiming links, listening for notifications and sending heartbeats
+     * @param getStats Returns the stats of this instance published with each heartbeat
+     */
+    async start(getStats) {
+        this.getStats = getStats;
+        this.running = true;
+
+        await this.connect();
+        await this.heartbeat();
+        await this.listen();
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat().catch((e) => {
+            winston.warn(`Failed to send the cluster heartbeat: ${e.message}`);
+        }), this.heartbeatInterval);
+
+        // Notifications can be missed while the listener reconnects
+        this.pollTimer = setInterval(() => {
+            this.claim();
+            this.collect();
+        }, this.pollInterval);
+
+        this.controller.on('ready', () => this.claim());
+
+        winston.info(`Joined the cluster as ${this.id}`);
+    }
+
+    async listen() {
+        const client = new Client({connectionString: this.url});
+
+        const reconnect = (e) => {
+            if (this.listener !== client) return;
+
+            winston.warn(`Lost the cluster notification connection, reconnecting: ${e ? e.message : 'closed'}`);
+            this.listener = null;
+            client.end().catch(() => {});
+
+            setTimeout(() => {
+                if (this.running) this.listen();
+            }, this.heartbeatInterval);
+        };
+
+        client.on('error', reconnect);
+        client.on('end', () => reconnect());
+        client.on('notification', (msg) => {
+            if (msg.channel === QUEUE_CHANNEL) {
+                this.claim();
+            } else if (msg.channel === RESULT_CHANNEL && msg.payload === this.id) {
+                this.collect();
+            }
+        });
+
+        this.listener = client;
+
+        try {
+            await client.connect();
+            await client.query(`LISTEN ${QUEUE_CHANNEL}`);
+            await client.query(`LISTEN ${RESULT_CHANNEL}`);
+        } catch (e) {
+            return reconnect(e);
+        }
+
+        // Catch up on what was notified while reconnecting
+        this.claim();
+        this.collect();
+    }
+
+    /**
+     * Publishes the stats of this instance and releases the rows of instances that stopped sending heartbeats
+     */
+    async heartbeat() {
+        const timeout = this.heartbeatInterval * MISSED_HEARTBEATS;
+
+        await this.pool.query(`INSERT INTO cluster_instances (id, heartbeat, stats) VALUES ($1, now(), $2)
+                                ON CONFLICT (id) DO UPDATE SET heartbeat = now(), stats = $2`,
+        [this.id, JSON.stringify(this.getStats ? this.getStats() : {})]);
+
+        const released = await this.pool.query(`UPDATE cluster_queue SET claimed_by = NULL, claimed_at = NULL
+            WHERE result IS NULL AND claimed_by IS NOT NULL AND claimed_by NOT IN
+                (SELECT id FROM cluster_instances WHERE heartbeat > now() - $1 * interval '1 millisecond')`,
+        [timeout]);
+
+        if (released.rowCount > 0) {
+            winston.warn(`Released ${released.rowCount} lookups claimed by instances without a heartbeat`);
+            this.claim();
+        }
+
+        // The requests of a stopped instance went with it
+        await this.pool.query(`DELETE FROM cluster_queue
+            WHERE (claimed_by IS NULL OR result IS NOT NULL) AND origin NOT IN
+                (SELECT id FROM cluster_instances WHERE heartbeat > now() - $1 * interval '1 millisecond')`,
+        [timeout]);
+
+        await this.pool.query('DELETE FROM cluster_instances WHERE heartbeat < now() - interval \'1 day\'');
+        await this.pool.query('DELETE FROM cluster_counters WHERE expires_at < now()');
+
+        const instances = await this.getInstances();
+        this.botsOnline = instances.reduce((sum, i) => sum + (i.stats.bots_online || 0), 0);
+    }
+
+    /**
+     * Returns the instances that sent a heartbeat recently with their stats
+     */
+    async getInstances() {
+        const result = await this.pool.query(`SELECT id, heartbeat, stats FROM cluster_instances
+            WHERE heartbeat > now() - $1 * interval '1 millisecond' ORDER BY id`,
+        [this.heartbeatInterval * MISSED_HEARTBEATS]);
+
+        return result.rows;
+    }
+
+    /**
+     * Whether any instance of the cluster has a bot online
+     */
+    hasBotOnline() {
+        return this.botsOnline > 0 || this.controller.hasBotOnline();
+    }
+
+    /**
+     * Returns the amount of unclaimed links in the cluster (queued) and of waiting links of the owner (owner)
+     * @param [client] Client of a transaction to count in, the pool otherwise
+     */
+    async getQueuedAmounts(owner, client = this.pool) {
+        const result = await client.query(`SELECT
+                count(*) FILTER (WHERE claimed_by IS NULL) AS queued,
+                count(*) FILTER (WHERE owner = $1 AND result IS NULL) AS owner
+            FROM cluster_queue`, [owner]);
+
+        return {
+            queued: parseInt(result.rows[0].queued),
+            owner: parseInt(result.rows[0].owner),
+        };
+    }
+
+    // Returns which limit adding the amount of links of the owner would exceed, if any
+    async getExceededLimit(client, owner, amount, ownerLimit, queueLimit) {
+        const queued = await this.getQueuedAmounts(owner, client);
+
+        if (ownerLimit > 0 && queued.owner + amount > ownerLimit) return 'owner';
+        if (queueLimit > 0 && queued.queued + amount > queueLimit) return 'queue';
+    }
+
+    /**
+     * Adds the amount to the counter shared by the instances unless that takes it over the max (0 or less for no max).
+     * The counter starts over windowMs after its first amount.
+     * @return {Promise<Object>} {added, count, reset}: whether the amount was added, the count after it and when the
+     *     counter starts over
+     */
+    async incrementCounter(key, amount, max, windowMs) {
+        if (max > 0 && amount > max) {
+            return {added: false, count: null, reset: null};
+        }
+
+        // An expired counter starts over, the update is skipped if it would exceed the max
+        const result = await this.pool.query(`INSERT INTO cluster_counters AS c (key, count, expires_at)
+                VALUES ($1, $2, now() + $4 * interval '1 millisecond')
+            ON CONFLICT (key) DO UPDATE SET
+                count = CASE WHEN c.expires_at <= now() THEN excluded.count ELSE c.count + excluded.count END,
+                expires_at = CASE WHEN c.expires_at <= now() THEN excluded.expires_at ELSE c.expires_at END
+            WHERE $3 <= 0 OR c.expires_at <= now() OR c.count + excluded.count <= $3
+            RETURNING count, expires_at`, [key, amount, max, windowMs]);
+
+        if (result.rows.length === 0) {
+            return {added: false, count: null, reset: null};
+        }
+
+        return {added: true, count: result.rows[0].count, reset: new Date(result.rows[0].expires_at)};
+    }
+
+    /**
+     * Returns an express-rate-limit store keeping the hits of each IP in the shared counters
+     */
+    createRateLimitStore(windowMs) {
+        return {
+            incr: (key, callback) => {
+                this.incrementCounter(`ip:${key}`, 1, 0, windowMs)
+                    .then(({count, reset}) => callback(null, count, reset), callback);
+            },
+            decrement: (key) => {
+                this.pool.query('UPDATE cluster_counters SET count = count - 1 WHERE key = $1 AND count > 0',
+                    [`ip:${key}`]).catch((e) => winston.warn(`Failed to update a rate limit counter: ${e.message}`));
+            },
+            resetKey: (key) => {
+                this.pool.query('DELETE FROM cluster_counters WHERE key = $1', [`ip:${key}`])
+                    .catch((e) => winston.warn(`Failed to reset a rate limit counter: ${e.message}`));
+            },
+        };
+    }
+
+    /**
+     * Adds the remaining links of the job to the shared queue if they fit in the limits, resolves once they are
+     * inserted. The limits are checked and the links inserted under a lock, so instances can't exceed them together.
+     * @param {Object} [limits] {owner, queue}: max waiting links of the job owner and max unclaimed links of the
+     *     cluster, 0 or less for no limit
+     * @return {Promise<string|undefined>} 'owner' or 'queue' if the links would exceed that limit and weren't added
+     */
+    async addJob(job, maxAttempts, lane, limits = {}) {
+        const links = job.getRemainingLinks();
+        const ownerLimit = limits.owner > 0 ? limits.owner : 0;
+        const queueLimit = limits.queue > 0 ? limits.queue : 0;
+
+        const client = await this.pool.connect();
+        let result;
+
+        try {
+            await client.query('BEGIN');
+
+            if (ownerLimit > 0 || queueLimit > 0) {
+                // Held until the commit, the counts and insert of other instances wait for it
+                await client.query(`SELECT pg_advisory_xact_lock(hashtext('${QUEUE_CHANNEL}'))`);
+
+                const exceeded = await this.getExceededLimit(client, job.owner, links.length, ownerLimit, queueLimit);
+
+                if (exceeded) {
+                    await client.query('ROLLBACK');
+                    return exceeded;
+                }
+            }
+
+            result = await client.query(`INSERT INTO cluster_queue
+                    (origin, owner, ip, lane, max_attempts, link, price)
+                SELECT $1, $2, $3, $4, $5, link, price FROM unnest($6::jsonb[], $7::integer[]) AS t(link, price)
+                RETURNING id, link->>'a' AS a`,
+            [this.id, job.owner, job.ip, lane, maxAttempts, links.map((l) => JSON.stringify(l.link.getParams())),
+                links.map((l) => l.price || null)]);
+
+            await client.query('COMMIT');
+        } catch (e) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw e;
+        } finally {
+            client.release();
+        }
+
+        for (const row of result.rows) {
+            this.waiting.set(row.id, {job, a: row.a});
+        }
+
+        // Cancelled while the rows were inserted
+        if (job.cancelled) return this.removeJob(job);
+
+        await this.pool.query(`NOTIFY ${QUEUE_CHANNEL}`);
+    }
+
+    /**
+     * Deletes the rows of the job from the shared queue, the result of a claimed one is then stored nowhere
+     */
+    async removeJob(job) {
+        const ids = [...this.waiting].filter(([, waiting]) => waiting.job === job).map(([id]) => id);
+        if (ids.length === 0) return;
+
+        for (const id of ids) {
+            this.waiting.delete(id);
+        }
+
+        await this.pool.query('DELETE FROM cluster_queue WHERE id = ANY($1)', [ids]);
+    }
+
+    // Returns the amount of links this instance can look up right now
+    getFreeSlots() {
+        const concurrency = Math.min(this.queue.concurrency || 0, this.controller.getCapacity());
+        return Math.max(0, concurrency - this.queue.inflight.size);
+    }
+
+    // Spreads the slots over the lanes by weight, so a large bulk job doesn't hold back interactive lookups
+    getLaneShares(slots) {
+        const lanes = Object.values(this.queue.lanes);
+        const shares = new Map();
+        const total = lanes.reduce((sum, lane) => sum + lane.weight, 0);
+
+        for (let i = 0; i < slots; i++) {
+            let best = null;
+
+            for (const lane of lanes) {
+                const current = (this.laneWeights.get(lane.name) || 0) + lane.weight;
+                this.laneWeights.set(lane.name, current);
+
+                if (!best || current > this.laneWeights.get(best.name)) {
+                    best = lane;
+                }
+            }
+
+            this.laneWeights.set(best.name, this.laneWeights.get(best.name) - total);
+            shares.set(best.name, (shares.get(best.name) || 0) + 1);
+        }
+
+        return shares;
+    }
+
+    async claimRows(lane, limit) {
+        const result = await this.pool.query(`UPDATE cluster_queue SET claimed_by = $1, claimed_at = now()
+            WHERE id IN (
+                SELECT id FROM cluster_queue
+                WHERE claimed_by IS NULL AND ($2::text IS NULL OR lane = $2) AND ($3::text IS NULL OR origin = $3)
+                ORDER BY id LIMIT $4
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING id, owner, ip, lane, link, price, max_attempts`,
+        [this.id, lane, this.draining ? this.id : null, limit]);
+
+        return result.rows;
+    }
+
+    /**
+     * Claims unclaimed links for the free slots and queues them locally
+     */
+    async claim() {
+        if (!this.running || this.claiming) return;
+
+        this.claiming = true;
+
+        try {
+            let slots;
+
+            while ((slots = this.getFreeSlots()) > 0) {
+                const rows = [];
+
+                for (const [lane, limit] of this.getLaneShares(slots)) {
+                    rows.push(...await this.claimRows(lane, limit));
+                }
+
+                // Lanes without links leave their share to the others
+                if (rows.length < slots) {
+                    rows.push(...await this.claimRows(null, slots - rows.length));
+                }
+
+                if (rows.length === 0) break;
+
+                for (const row of rows) {
+                    this.process(row);
+                }
+            }
+        } catch (e) {
+            winston.warn(`Failed to claim links from the cluster queue: ${e.message}`);
+        } finally {
+            this.claiming = false;
+        }
+    }
+
+    // Looks up a claimed row with the local queue and stores its result
+    process(row) {
+        const job = new Job({ip: row.ip}, null, /* bulk */ true);
+
+        job.owner = row.owner;
+        job.lane = row.lane;
+        job.add(new InspectURL(row.link), row.price === null ? undefined : row.price);
+
+        job.once('response', (a, response) => this.complete(row.id, response));
+
+        this.queue.addJob(job, row.max_attempts, row.lane);
+    }
+
+    async complete(id, response) {
+        // Unfinished rows were released for the other instances on close
+        if (!this.running) return;
+
+        try {
+            await this.pool.query(`WITH done AS (
+                    UPDATE cluster_queue SET result = $2 WHERE id = $1 RETURNING origin
+                )
+                SELECT pg_notify('${RESULT_CHANNEL}', origin) FROM done`, [id, JSON.stringify(response)]);
+        } catch (e) {
+            winston.warn(`Failed to store the result of cluster queue entry ${id}: ${e.message}`);
+        }
+
+        this.claim();
+    }
+
+    /**
+     * Answers the links this instance is waiting on with the results stored by the cluster
+     */
+    async collect() {
+        if (this.collecting) {
+            // Results stored during the running query are collected right after
+            this.collectAgain = true;
+            return this.collecting;
+        }
+
+        if (this.waiting.size === 0) return;
+
+        this.collecting = (async () => {
+            do {
+                this.collectAgain = false;
+
+                const result = await this.pool.query(`DELETE FROM cluster_queue
+                    WHERE id = ANY($1) AND result IS NOT NULL RETURNING id, result`, [[...this.waiting.keys()]]);
+
+                for (const row of result.rows) {
+                    const {job, a} = this.waiting.get(row.id);
+
+                    this.waiting.delete(row.id);
+                    job.setResponse(a, row.result);
+                }
+            } while (this.collectAgain && this.waiting.size > 0);
+        })();
+
+        try {
+            await this.collecting;
+        } catch (e) {
+            winston.warn(`Failed to collect results from the cluster queue: ${e.message}`);
+        } finally {
+            this.collecting = null;
+        }
+    }
+
+    /**
+     * Resolves true once this instance isn't waiting on any link, or false if the timeout (ms) passes first
+     * Only the links of this instance are claimed from then on
+     */
+    async drain(timeout) {
+        const deadline = Date.now() + timeout;
+        this.draining = true;
+
+        while (this.waiting.size > 0) {
+            if (Date.now() >= deadline) return false;
+
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+
+        return true;
+    }
+
+    /**
+     * Leaves the cluster, the links claimed by this instance are released for the others
+     * @return {Array} [{job, a}] of the links this instance was still waiting on
+     */
+    async close() {
+        this.running = false;
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.pollTimer);
+
+        const listener = this.listener;
+        this.listener = null;
+
+        try {
+            await this.pool.query(`UPDATE cluster_queue SET claimed_by = NULL, claimed_at = NULL
+                                    WHERE claimed_by = $1 AND result IS NULL`, [this.id]);
+            await this.pool.query('DELETE FROM cluster_queue WHERE origin = $1', [this.id]);
+            await this.pool.query('DELETE FROM cluster_instances WHERE id = $1', [this.id]);
+
+            if (listener) {
+                await listener.end();
+            }
+
+            await this.pool.end();
+        } catch (e) {
+            winston.error(`Failed to leave the cluster: ${e.message}`);
+        }
+
+        const waiting = [...this.waiting.values()];
+        this.waiting.clear();
+
+        return waiting;
+    }
+
+    /**
+     * Returns the stats of the cluster, summed over the instances that sent a heartbeat recently
+     */
+    async getClusterStats() {
+        const [instances, amounts] = await Promise.all([this.getInstances(), this.pool.query(`SELECT
+                count(*) FILTER (WHERE claimed_by IS NULL) AS queued,
+                count(*) FILTER (WHERE claimed_by IS NOT NULL AND result IS NULL) AS processing
+            FROM cluster_queue`)]);
+
+        return Cluster.aggregateStats(this.id, instances, amounts.rows[0]);
+    }
+
+    static aggregateStats(id, instances, amounts) {
+        const sum = (key) => instances.reduce((total, i) => total + (i.stats[key] || 0), 0);
+
+        return {
+            instance_id: id,
+            bots_online: sum('bots_online'),
+            bots_total: sum('bots_total'),
+            queue_size: parseInt(amounts.queued),
+            processing: parseInt(amounts.processing),
+            instances: instances.map((i) => ({
+                id: i.id,
+                last_heartbeat: new Date(i.heartbeat).toISOString(),
+                bots_online: i.stats.bots_online,
+                bots_total: i.stats.bots_total,
+                queue_concurrency: i.stats.queue_concurrency,
+                processing: i.stats.processing,
+                dedup_hits: i.stats.dedup_hits,
+            })),
+        };
+    }
+}
+
+module.exports = Cluster;
@@ -0,0 +1,345 @@
+const PERMISSIONS = require('./api_keys').PERMISSIONS,
+    Webhook = require('./webhook');
+
+/*
+    Declarative schema of config.js
+
+    Every setting has a type and optionally a default, required, min, max, enum or a custom check returning an
+    error message. Objects are created with their defaults when they are missing, unknown keys are errors.
+ */
+
+const string = (options) => Object.assign({type: 'string'}, options);
+const number = (options) => Object.assign({type: 'number'}, options);
+const boolean = (options) => Object.assign({type: 'boolean'}, options);
+const array = (items, options) => Object.assign({type: 'array', items}, options);
+const object = (properties, options) => Object.assign({type: 'object', properties}, options);
+// Object with arbitrary keys, each value matching the schema
+const map = (values, options) => Object.assign({type: 'map', values}, options);
+const any = (options) => Object.assign({type: 'any'}, options);
+
+function isRegex(value) {
+    try {
+        new RegExp(value);
+    } catch (e) {
+        return `is not a valid regular expression (${e.message})`;
+    }
+}
+
+function isWebhookUrl(value) {
+    if (value && !Webhook.isValidUrl(value)) {
+        return 'must be an http or https URL';
+    }
+}
+
+const SCHEMA = object({
+    http: object({
+        port: number({required: true, min: 0, max: 65535}),
+    }, {required: true}),
+    trust_proxy: boolean({default: false}),
+    logins: array(object({
+        user: string({required: true}),
+        pass: string({required: true}),
+        auth: string(),
+    }), {required: true}),
+    account_state_file: string({default: './accounts.json'}),
+    proxies: any({deprecated: 'proxies is no longer used, configure proxy_pool instead'}),
+    proxy_pool: object({
+        enabled: boolean({default: false}),
+        file: string({default: './proxies_value.txt'}),
+        max_requests_per_proxy: number({default: 3, min: 1}),
+        request_cooldown: number({default: 100, min: 0}),
+        retry_on_login_failure: boolean({default: true}),
+        max_login_retries: number({default: 3, min: 0}),
+        exclude_failed_proxies: boolean({default: true}),
+        login_retry_delay: number({default: 5000, min: 0}),
+    }),
+    max_online_bots: number({min: 1}),
+    bot_settings: object({
+        max_attempts: number({default: 1, min: 1}),
+        request_delay: number({default: 1100, min: 0}),
+        request_ttl: number({default: 2000, min: 1}),
+        max_concurrent_requests: number({default: 1, min: 1}),
+        adaptive_delay: object({
+            enable: boolean({default: false}),
+            min_delay: number({default: 500, min: 0}),
+            max_delay: number({default: 5000, min: 0}),
+            step_down: number({default: 10, min: 0}),
+            backoff_factor: number({default: 2, min: 1}),
+        }, {check: (d) => d.min_delay > d.max_delay ? 'min_delay must be at most max_delay' : undefined}),
+        // Passed to node-steam-user as is
+        steam_user: any({default: {}}),
+    }),
+    steam_guard_email: object({
+        enable: boolean({default: false}),
+        host: string({default: ''}),
+        port: number({default: 993, min: 1, max: 65535}),
+        tls: boolean({default: true}),
+        user: string({default: ''}),
+        pass: string({default: ''}),
+        mailbox: string({default: 'INBOX'}),
+        from: string({default: 'noreply@steampowered.com'}),
+        poll_interval: number({default: 10000, min: 1000}),
+        timeout: number({default: 5 * 60 * 1000, min: 1}),
+        alert_url: string({default: '', check: isWebhookUrl}),
+    }),
+    relog: object({
+        enable: boolean({default: true}),
+        interval: number({default: 30 * 60 * 1000, min: 1000}),
+        jitter: number({default: 4 * 60 * 1000, min: 0}),
+        idle_only: boolean({default: false}),
+        max_concurrent: number({default: 0, min: 0}),
+    }),
+    bot_health: object({
+        enable: boolean({default: false}),
+        window: number({default: 20, min: 1}),
+        min_samples: number({default: 10, min: 1}),
+        min_success_rate: number({default: 0.5, min: 0, max: 1}),
+        max_timeout_rate: number({default: 0.5, min: 0, max: 1}),
+        max_median_latency: number({default: 0, min: 0}),
+        quarantine_time: number({default: 60000, min: 0}),
+        max_quarantined_ratio: number({default: 0.5, min: 0, max: 1}),
+    }),
+    mock_gc: object({
+        enable: boolean({default: false}),
+        fixtures: string(),
+        login_delay: number({min: 0}),
+        latency: number({min: 0}),
+        latency_jitter: number({min: 0}),
+        failure_rate: number({min: 0, max: 1}),
+        timeout_delay: number({min: 0}),
+        disconnect_rate: number({min: 0, max: 1}),
+    }),
+    allowed_origins: array(string(), {default: []}),
+    allowed_regex_origins: array(string({check: isRegex}), {default: []}),
+    rate_limit: object({
+        enable: boolean({default: false}),
+        window_ms: number({default: 60 * 60 * 1000, min: 1}),
+        max: number({default: 10000, min: 0}),
+    }),
+    logging: object({
+        directory: string(),
+        level: string({enum: ['error', 'warn', 'info', 'verbose', 'debug', 'silly']}),
+        maxFileSize: number({min: 1}),
+        maxFiles: number({min: 1}),
+        consoleOutput: boolean(),
+        fileOutput: boolean(),
+    }),
+    logLevel: any({deprecated: 'logLevel is no longer used, set logging.level instead'}),
+    watch_config: boolean({default: true}),
+    max_simultaneous_requests: number({default: 1, min: -1}),
+    enable_game_file_updates: boolean({default: false}),
+    game_files_update_interval: number({default: 0, min: 0}),
+    database_url: string({default: ''}),
+    storage_backend: string({default: '', enum: ['', 'postgres', 'memory']}),
+    enable_bulk_inserts: boolean({default: false}),
+    enable_socket_io: boolean({default: false}),
+    cache: object({
+        enable: boolean({default: false}),
+        max_size: number({default: 10000, min: 1}),
+        ttl: number({default: 60, min: 0}),
+    }),
+    api_keys: object({
+        require: boolean({default: false}),
+        keys: array(object({
+            key: string({required: true}),
+            name: string(),
+            enabled: boolean(),
+            permissions: array(string({enum: PERMISSIONS})),
+            rate_limit: object({
+                window_ms: number({min: 1}),
+                max: number({min: 0}),
+            }),
+            daily_quota: number({min: 0}),
+            max_bulk_size: number({min: 0}),
+            max_simultaneous_requests: number({min: -1}),
+            webhook_secret: string(),
+        }), {default: []}),
+        database: boolean({default: false}),
+        reload_interval: number({default: 60, min: 1}),
+    }),
+    auth_key: string({default: ''}),
+    price_key: string({default: ''}),
+    history_key: string({default: ''}),
+    bulk_key: string({default: ''}),
+    bulk_result_ttl: number({default: 3600, min: 1}),
+    durable_queue: object({
+        enable: boolean({default: false}),
+        file: string({default: './queue_journal.jsonl'}),
+    }),
+    webhook: object({
+        max_attempts: number({default: 5, min: 1}),
+        retry_delay: number({default: 1000, min: 0}),
+        timeout: number({default: 10000, min: 1}),
+        allow_private: boolean({default: false}),
+    }),
+    max_queue_size: number({default: -1, min: -1}),
+    shutdown_timeout: number({default: 8000, min: 0}),
+    cluster: object({
+        enable: boolean({default: false}),
+        instance_id: string({default: ''}),
+        heartbeat_interval: number({default: 5000, min: 100}),
+        poll_interval: number({default: 1000, min: 10}),
+    }),
+    queue_lanes: map(object({
+        weight: number({default: 1, min: 1}),
+    })),
+});
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && isNaN(value)) return 'NaN';
+    return typeof value;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Returns the known key closest to the unknown one, if it is close enough to be a typo
+function suggest(key, known) {
+    let best, bestDistance = Infinity;
+
+    for (const candidate of known) {
+        const distance = levenshtein(key.toLowerCase(), candidate.toLowerCase());
+
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : undefined;
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function copyDefault(value) {
+    return value !== null && typeof value === 'object' ? structuredClone(value) : value;
+}
+
+/*
+    Validates the value at the path against the schema, returns the value with the defaults filled in
+ */
+function checkValue(schema, value, path, result) {
+    if (value === undefined) {
+        if (schema.required) {
+            result.errors.push(`${path} is required`);
+            return value;
+        } else if (schema.default !== undefined) {
+            return copyDefault(schema.default);
+        } else if (schema.type !== 'object') {
+            return value;
+        }
+
+        // Create missing objects so the defaults inside them apply
+        value = {};
+    }
+
+    if (schema.deprecated) {
+        result.warnings.push(schema.deprecated);
+    }
+
+    if (schema.type === 'any') {
+        return value;
+    }
+
+    const expected = schema.type === 'map' ? 'object' : schema.type;
+
+    if (typeOf(value) !== expected) {
+        result.errors.push(`${path} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}, ` +
+            `got ${typeOf(value)}`);
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        result.errors.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, ` +
+            `got ${JSON.stringify(value)}`);
+    }
+
+    if (schema.min !== undefined && value < schema.min) {
+        result.errors.push(`${path} must be at least ${schema.min}, got ${value}`);
+    }
+
+    if (schema.max !== undefined && value > schema.max) {
+        result.errors.push(`${path} must be at most ${schema.max}, got ${value}`);
+    }
+
+    const message = schema.check && schema.check(value);
+
+    if (message) {
+        result.errors.push(`${path} ${message}`);
+    }
+
+    if (schema.type === 'array') {
+        return value.map((item, i) => checkValue(schema.items, item, `${path}[${i}]`, result));
+    } else if (schema.type === 'map') {
+        for (const key of Object.keys(value)) {
+            value[key] = checkValue(schema.values, value[key], join(path, key), result);
+        }
+    } else if (schema.type === 'object') {
+        const known = Object.keys(schema.properties);
+
+        for (const key of Object.keys(value)) {
+            if (!known.includes(key)) {
+                const suggestion = suggest(key, known);
+                result.errors.push(`Unknown setting ${join(path, key)}` +
+                    (suggestion ? `, did you mean ${join(path, suggestion)}?` : ''));
+            }
+        }
+
+        for (const key of known) {
+            const checked = checkValue(schema.properties[key], value[key], join(path, key), result);
+
+            if (checked !== undefined) {
+                value[key] = checked;
+            }
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Validates the config and fills in the defaults of missing settings, modifying it in place
+ * @return {{errors: string[], warnings: string[]}} The config can't be used if there are errors
+ */
+function check(config) {
+    const result = {errors: [], warnings: []};
+
+    if (typeOf(config) !== 'object') {
+        result.errors.push(`The config must export an object, got ${typeOf(config)}`);
+        return result;
+    }
+
+    checkValue(SCHEMA, config, '', result);
+
+    if (config.cluster && config.cluster.enable && !config.database_url) {
+        result.errors.push('cluster.enable requires a database_url, the instances share their queue through Postgres');
+    }
+
+    const email = config.steam_guard_email;
+
+    if (email && email.enable && (!email.host || !email.user)) {
+        result.errors.push('steam_guard_email.enable requires the host and user of the mailbox');
+    }
+
+    return result;
+}
+
+module.exports = {SCHEMA, check};
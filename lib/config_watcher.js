@@ -0,0 +1,196 @@
+const fs = require('fs'),
+    path = require('path'),
+    util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    configSchema = require('./config_schema'),
+    winston = global.winston || require('winston');
+
+// Settings only read at startup, changing them is logged but needs a restart
+const RESTART_KEYS = [
+    'http', 'enable_socket_io', 'storage_backend', 'database_url', 'enable_bulk_inserts', 'cache',
+    'mock_gc', 'queue_lanes', 'logging', 'account_state_file', 'bulk_result_ttl', 'durable_queue',
+    'enable_game_file_updates', 'game_files_update_interval', 'max_online_bots', 'watch_config', 'proxy_pool.enabled',
+    'proxy_pool.file', 'bot_settings.steam_user', 'cluster', 'steam_guard_email',
+];
+
+// Values of these keys are never logged
+const SECRET_KEY = /(^|_)(pass|auth|key|secret|token)$|^database_url$/;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mask(value, key = '') {
+    if (SECRET_KEY.test(key) && value !== undefined && value !== '') {
+        return '***';
+    } else if (Array.isArray(value)) {
+        return value.map((v) => mask(v));
+    } else if (isObject(value)) {
+        const masked = {};
+
+        for (const [k, v] of Object.entries(value)) {
+            masked[k] = mask(v, k);
+        }
+
+        return masked;
+    }
+
+    return value;
+}
+
+// Logins are compared by username so one changed account doesn't log the whole list
+function diffLogins(oldLogins, newLogins) {
+    const changes = [];
+    const before = new Map((Array.isArray(oldLogins) ? oldLogins : []).map((l) => [l.user, l]));
+    const after = new Map((Array.isArray(newLogins) ? newLogins : []).map((l) => [l.user, l]));
+
+    for (const user of new Set([...before.keys(), ...after.keys()])) {
+        if (!util.isDeepStrictEqual(before.get(user), after.get(user))) {
+            changes.push({path: `logins[${user}]`, from: mask(before.get(user)), to: mask(after.get(user))});
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Returns the changed settings as {path, from, to}, secrets are masked in the values
+ */
+function diffConfig(oldConfig, newConfig, prefix = '') {
+    const changes = [];
+
+    for (const key of new Set([...Object.keys(oldConfig), ...Object.keys(newConfig)])) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const from = oldConfig[key], to = newConfig[key];
+
+        if (keyPath === 'logins') {
+            changes.push(...diffLogins(from, to));
+        } else if (isObject(from) && isObject(to)) {
+            changes.push(...diffConfig(from, to, keyPath));
+        } else if (!util.isDeepStrictEqual(from, to)) {
+            changes.push({path: keyPath, from: mask(from, key), to: mask(to, key)});
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Returns whether the setting or anything inside it changed
+ */
+function hasChanged(changes, key) {
+    return changes.some((c) => c.path === key || c.path.startsWith(`${key}.`) || c.path.startsWith(`${key}[`));
+}
+
+function formatValue(value) {
+    return value === undefined ? 'unset' : JSON.stringify(value);
+}
+
+/*
+    Reloads the config file when it changes on disk or the process receives SIGHUP
+
+    Emits 'change' with the new config (with its defaults) and its changes once it is validated, the running config
+    is never touched
+ */
+class ConfigWatcher extends EventEmitter {
+    /**
+     * @param {string} file Path of the config file
+     */
+    constructor(file) {
+        super();
+
+        this.file = path.resolve(file);
+        this.config = this.load();
+
+        // Compare against the config with its defaults like the reloaded ones
+        configSchema.check(this.config);
+        this.timeout = null;
+    }
+
+    load() {
+        delete require.cache[require.resolve(this.file)];
+        return require(this.file);
+    }
+
+    /**
+     * Reads the file again and emits the changes, returns whether they were applied
+     */
+    reload() {
+        let config;
+
+        try {
+            config = this.load();
+        } catch (e) {
+            winston.error(`Failed to reload ${this.file}, keeping the current config: ${e.message}`);
+            return false;
+        }
+
+        const {errors, warnings} = configSchema.check(config);
+
+        if (errors.length > 0) {
+            winston.error(`Invalid config in ${this.file}, keeping the current config: ${errors.join(', ')}`);
+            return false;
+        }
+
+        for (const warning of warnings) {
+            winston.warn(warning);
+        }
+
+        const changes = diffConfig(this.config, config);
+
+        if (changes.length === 0) {
+            winston.debug(`Reloaded ${this.file}, nothing changed`);
+            return false;
+        }
+
+        for (const change of changes) {
+            const restart = RESTART_KEYS.some((key) => hasChanged([change], key)) ? ' (requires a restart)' : '';
+            winston.info(`Config ${change.path}: ${formatValue(change.from)} -> ${formatValue(change.to)}${restart}`);
+        }
+
+        this.config = config;
+        this.emit('change', config, changes);
+        return true;
+    }
+
+    /**
+     * Reloads on SIGHUP, and when the file changes if watch is set
+     */
+    start(watch) {
+        process.on('SIGHUP', () => {
+            winston.info(`Received SIGHUP, reloading ${this.file}`);
+            this.reload();
+        });
+
+        if (!watch) return;
+
+        try {
+            // Watch the directory since editors often replace the file instead of writing to it
+            this.watcher = fs.watch(path.dirname(this.file), (event, filename) => {
+                if (filename !== path.basename(this.file)) return;
+
+                // Saving can take several writes
+                clearTimeout(this.timeout);
+                this.timeout = setTimeout(() => this.reload(), 500);
+            });
+
+            this.watcher.unref();
+        } catch (e) {
+            winston.warn(`Failed to watch ${this.file}, reload it with SIGHUP instead: ${e.message}`);
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timeout);
+
+        if (this.watcher) {
+            this.watcher.close();
+        }
+    }
+}
+
+ConfigWatcher.RESTART_KEYS = RESTART_KEYS;
+ConfigWatcher.diffConfig = diffConfig;
+ConfigWatcher.hasChanged = hasChanged;
+
+module.exports = ConfigWatcher;
@@ -0,0 +1,202 @@
+const net = require('net'),
+    tls = require('tls');
+
+/*
+    Minimal IMAP4rev1 client with the few commands needed to read a mailbox: LOGIN, SELECT, UID SEARCH, UID FETCH
+    and LOGOUT. Commands are sent one at a time, each resolving with the untagged responses it received.
+ */
+class ImapClient {
+    /**
+     * @param {Object} options host, port, tls (connect with TLS, default true) and timeout (ms, default 30000)
+     */
+    constructor(options) {
+        this.options = Object.assign({tls: true, timeout: 30000}, options);
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.tag = 0;
+        this.pending = null;  // {tag, responses, resolve, reject} of the running command
+        this.response = null;  // Response being read, {text, literals}
+        this.literalSize = -1;
+    }
+
+    /**
+     * Connects and waits for the greeting of the server
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const {host, port} = this.options;
+            const onConnect = () => this.socket.setTimeout(this.options.timeout);
+
+            this.socket = this.options.tls ? tls.connect({host, port, servername: host}, onConnect)
+                : net.connect({host, port}, onConnect);
+
+            this.pending = {tag: '*', responses: [], resolve, reject};
+
+            this.socket.on('data', (data) => this.onData(data));
+            this.socket.on('timeout', () => this.socket.destroy(new Error('IMAP connection timed out')));
+            this.socket.on('error', (err) => this.fail(err));
+            this.socket.on('close', () => this.fail(new Error('IMAP connection closed')));
+        });
+    }
+
+    fail(err) {
+        if (!this.pending) return;
+
+        const {reject} = this.pending;
+        this.pending = null;
+        reject(err);
+    }
+
+    onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length > 0) {
+            if (this.literalSize >= 0) {
+                if (this.buffer.length < this.literalSize) return;
+
+                this.response.literals.push(this.buffer.slice(0, this.literalSize));
+                this.buffer = this.buffer.slice(this.literalSize);
+                this.literalSize = -1;
+                continue;
+            }
+
+            const end = this.buffer.indexOf('\r\n');
+            if (end === -1) return;
+
+            const line = this.buffer.slice(0, end).toString();
+            this.buffer = this.buffer.slice(end + 2);
+
+            if (!this.response) this.response = {text: '', literals: []};
+            this.response.text += line;
+
+            // A line ending in {size} is followed by that many bytes of literal data, then the rest of the response
+            const literal = /\{(\d+)\}$/.exec(line);
+
+            if (literal) {
+                this.literalSize = parseInt(literal[1]);
+            } else {
+                const response = this.response;
+                this.response = null;
+                this.onResponse(response);
+            }
+        }
+    }
+
+    onResponse(response) {
+        if (!this.pending) return;
+
+        const {tag, responses, resolve, reject} = this.pending;
+
+        // The greeting is the only response while connecting
+        if (tag === '*') {
+            this.pending = null;
+
+            if (/^\* (OK|PREAUTH)/i.test(response.text)) resolve();
+            else reject(new Error(`Unexpected IMAP greeting: ${response.text}`));
+            return;
+        }
+
+        if (!response.text.startsWith(`${tag} `)) {
+            responses.push(response);
+            return;
+        }
+
+        this.pending = null;
+        const status = response.text.slice(tag.length + 1);
+
+        if (/^OK/i.test(status)) resolve(responses);
+        else reject(new Error(`IMAP command failed: ${status}`));
+    }
+
+    /**
+     * Sends the command, resolves with its untagged responses or rejects if the server answers NO or BAD
+     */
+    command(command) {
+        if (!this.socket || this.pending) {
+            return Promise.reject(new Error(this.socket ? 'An IMAP command is already running' : 'Not connected'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const tag = `A${++this.tag}`;
+
+            this.pending = {tag, responses: [], resolve, reject};
+            this.socket.write(`${tag} ${command}\r\n`);
+        });
+    }
+
+    /**
+     * Formats the date as an IMAP search date (ie. 7-Oct-2024)
+     */
+    static formatDate(date) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        return `${date.getUTCDate()}-${months[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+    }
+
+    static quote(value) {
+        return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    }
+
+    login(user, pass) {
+        return this.command(`LOGIN ${ImapClient.quote(user)} ${ImapClient.quote(pass)}`);
+    }
+
+    select(mailbox) {
+        return this.command(`SELECT ${ImapClient.quote(mailbox)}`);
+    }
+
+    /**
+     * Returns the UIDs of the messages matching the search criteria
+     */
+    async search(criteria) {
+        const responses = await this.command(`UID SEARCH ${criteria}`);
+        const uids = [];
+
+        for (const {text} of responses) {
+            const match = /^\* SEARCH\b(.*)$/i.exec(text);
+
+            if (match) {
+                uids.push(...match[1].trim().split(/\s+/).filter((uid) => uid).map((uid) => parseInt(uid)));
+            }
+        }
+
+        return uids;
+    }
+
+    /**
+     * Returns the raw message and its internal date, without marking it as seen, or null if there is no such UID
+     */
+    async fetch(uid) {
+        const responses = await this.command(`UID FETCH ${uid} (INTERNALDATE BODY.PEEK[])`);
+
+        for (const {text, literals} of responses) {
+            if (!/^\* \d+ FETCH/i.test(text) || literals.length === 0) continue;
+
+            const date = /INTERNALDATE "([^"]+)"/i.exec(text);
+
+            return {
+                uid,
+                date: date ? new Date(date[1].trim().replace(/^(\d+)-(\w+)-(\d+)/, '$1 $2 $3')) : null,
+                source: literals[0].toString(),
+            };
+        }
+
+        return null;
+    }
+
+    async logout() {
+        try {
+            await this.command('LOGOUT');
+        } finally {
+            this.close();
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+    }
+}
+
+module.exports = ImapClient;
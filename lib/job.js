@@ -1,20 +1,42 @@
-const errors = require('./../errors');
+const crypto = require('crypto'),
+    EventEmitter = require('events').EventEmitter,
+    errors = require('./../errors');
 
 // A Job encapsulates fetching multiple links for a single request
-class Job {
+// If no response object is given, the job is asynchronous and results are collected until polled
+class Job extends EventEmitter {
     get ip() {
-        return this.req.ip;
+        return this.ip_;
+    }
+
+    get isAsync() {
+        return !this.res;
+    }
+
+    get isComplete() {
+        return this.completedAt !== null;
     }
 
     constructor(req, res, isBulk) {
-        this.req = req;
+        super();
+
+        this.id = crypto.randomBytes(16).toString('hex');
+        this.ip_ = req.ip;
+        this.apiKey = req.apiKey || null;
+        // Requests are limited per API key, or per IP without one
+        this.owner = this.apiKey ? this.apiKey.owner : req.ip;
         this.res = res;
         this.isBulk = isBulk;
+        this.lane = null; // Queue lane to place the links in, null for the default
+        this.cancelled = false; // Set once nobody waits on the results, the links are no longer queued
         this.remainingLinks = [];
+        this.total = 0;
 
         this.index = 0;
 
         this.responses = {};
+        this.createdAt = Date.now();
+        this.completedAt = null;
     }
 
     add(link, price) {
@@ -23,6 +45,8 @@ class Job {
             price,
             job: this,
         });
+
+        this.total++;
     }
 
     getRemainingLinks() {
@@ -57,15 +81,35 @@ class Job {
         this.responses[assetId.toString()] = response;
         this.remainingLinks.splice(index, 1);
 
+        this.emit('response', assetId.toString(), response);
+
         if (this.remainingLinks.length === 0) {
+            this.completedAt = Date.now();
             this._reply();
+            this.emit('complete', this.responses);
         }
     }
 
+    /**
+     * Returns the progress of the job and the results finished so far
+     */
+    getStatus() {
+        return {
+            id: this.id,
+            status: this.isComplete ? 'complete' : 'pending',
+            total: this.total,
+            completed: this.total - this.remainingLinks.length,
+            remaining: this.remainingLinks.length,
+            created_at: new Date(this.createdAt).toISOString(),
+            completed_at: this.isComplete ? new Date(this.completedAt).toISOString() : null,
+            results: this.responses,
+        };
+    }
+
     _reply() {
         const keys = Object.keys(this.responses);
 
-        if (keys.length === 0) {
+        if (keys.length === 0 || !this.res) {
             return;
         }
 
@@ -74,6 +118,7 @@ class Job {
         } else {
             const response = this.responses[keys[0]];
             if (response.error) {
+                if (this.res.locals) this.res.locals.errorCode = response.code;
                 this.res.status(response.status).json(response);
             } else {
                 this.res.json({iteminfo: response});
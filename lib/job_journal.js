@@ -0,0 +1,318 @@
+const fs = require('fs'),
+    winston = global.winston || require('winston'),
+    Job = require('./job'),
+    InspectURL = require('./inspect_url');
+
+/*
+    Append-only file journal of asynchronous bulk jobs, so their links are queued again after a restart or crash
+
+    Each line is a JSON record of a job, identified by its id:
+        job      the job with all of its links, written when it is submitted
+        result   a link received its response
+        attempt  the amount of failed attempts of a pending link
+        batch    a callback batch was sent, the results after it weren't delivered yet
+        complete the job finished
+
+    Finished jobs are kept until their results expire so they can still be polled. The file is rewritten with only
+    the records needed to restore the jobs on startup and whenever enough records piled up.
+ */
+class JobJournal {
+    /**
+     * @param {string} file Path of the journal
+     * @param {number} [resultTTL] Seconds to keep the results of a job after it completes
+     */
+    constructor(file, resultTTL) {
+        this.file = file;
+        this.resultTTL = (resultTTL || 3600) * 1000;
+
+        // Job id -> {job, links (params and price of every link), callback: {url, batch_size, batches, batch}}
+        this.jobs = new Map();
+
+        this.fd = null;
+        this.records = 0;
+        this.compactAt = 0;
+    }
+
+    /**
+     * Restores the jobs in the journal and starts writing to it
+     * @return {Array} [{job, callback}] of the restored jobs, their remaining links have to be queued again and
+     *     callback is {url, batch_size, batches, batch} of the undelivered results if the job has one
+     */
+    open() {
+        if (fs.existsSync(this.file)) {
+            this.replay(fs.readFileSync(this.file, 'utf8'));
+        }
+
+        this.compact();
+
+        // Keep appending to the old journal if it couldn't be rewritten
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.file, 'a');
+        }
+
+        const pending = [...this.jobs.values()].filter((s) => !s.job.isComplete).length;
+        winston.info(`Restored ${this.jobs.size} bulk jobs from ${this.file}, ${pending} still pending`);
+
+        return [...this.jobs.values()].map((state) => {
+            this.listen(state);
+            return {job: state.job, callback: state.callback};
+        });
+    }
+
+    // Rebuilds the jobs from the records, grouped first so restoring doesn't look up every result in its job
+    replay(content) {
+        const replayed = new Map();
+
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+
+            let record;
+
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                // A crash can cut off the last line
+                winston.warn(`Skipping a corrupt line in the queue journal ${this.file}`);
+                continue;
+            }
+
+            if (record.op === 'job') {
+                replayed.set(record.id, {record, results: new Map(), attempts: new Map(), batches: 0, batch: {}});
+                continue;
+            }
+
+            const state = replayed.get(record.id);
+            if (!state) continue;
+
+            if (record.op === 'result') {
+                state.results.set(record.a, record.response);
+                state.batch[record.a] = record.response;
+            } else if (record.op === 'attempt') {
+                state.attempts.set(record.a, record.attempts);
+            } else if (record.op === 'batch') {
+                state.batches = record.number + 1;
+                state.batch = {};
+            } else if (record.op === 'complete') {
+                state.completedAt = record.completed_at;
+            }
+        }
+
+        for (const state of replayed.values()) {
+            this.jobs.set(state.record.id, this.restore(state));
+        }
+    }
+
+    // Creates the job of a replayed job record with its results
+    restore({record, results, attempts, batches, batch, completedAt}) {
+        const job = new Job({ip: record.ip}, null, /* bulk */ true);
+
+        job.id = record.id;
+        job.owner = record.owner;
+        job.lane = record.lane;
+        job.createdAt = record.created_at;
+
+        for (const {params, price} of record.links) {
+            if (results.has(params.a)) continue;
+
+            job.add(new InspectURL(params), price);
+
+            if (attempts.has(params.a)) {
+                job.getRemainingLinks()[job.remainingSize() - 1].attempts = attempts.get(params.a);
+            }
+        }
+
+        job.total = record.links.length;
+        job.responses = Object.fromEntries(results);
+
+        if (job.remainingSize() === 0) {
+            job.completedAt = completedAt !== undefined ? completedAt : Date.now();
+        }
+
+        let callback = null;
+
+        if (record.callback) {
+            callback = Object.assign({batches, batch: record.callback.batch_size > 0 ? batch : {}}, record.callback);
+        }
+
+        return {job, links: record.links, callback};
+    }
+
+    /**
+     * Starts journaling a new asynchronous job, must be called before its links are looked up
+     * @param job Job to journal
+     * @param {Object} [callback] {url, batch_size} if its results are POSTed to a callback
+     */
+    track(job, callback) {
+        const links = job.getRemainingLinks().map((l) => ({params: l.link.getParams(), price: l.price}));
+        const state = {job, links, callback: callback ? Object.assign({batches: 0, batch: {}}, callback) : null};
+
+        this.jobs.set(job.id, state);
+        this.write(this.getJobRecord(state));
+        this.listen(state);
+    }
+
+    // Records the progress of the job, call before the callback is attached so a batch includes the last result
+    listen(state) {
+        const {job, callback} = state;
+
+        job.on('response', (a, response) => {
+            if (this.isBatched(state)) {
+                callback.batch[a] = response;
+            }
+
+            this.write({op: 'result', id: job.id, a, response});
+        });
+
+        if (this.isBatched(state)) {
+            job.on('callback sent', (number) => {
+                callback.batches = number + 1;
+                callback.batch = {};
+                this.write({op: 'batch', id: job.id, number});
+            });
+        }
+
+        job.once('complete', () => this.write({op: 'complete', id: job.id, completed_at: job.completedAt}));
+    }
+
+    /**
+     * Records a failed attempt of a queue entry for the journaled jobs waiting on it
+     */
+    recordAttempt(entry) {
+        for (const link of entry.links) {
+            if (!this.jobs.has(link.job.id)) continue;
+
+            link.attempts = entry.attempts;
+            this.write({op: 'attempt', id: link.job.id, a: link.link.getParams().a, attempts: entry.attempts});
+        }
+    }
+
+    /**
+     * Returns whether the job is journaled and not finished, it is resumed on the next start
+     */
+    isPending(job) {
+        return this.jobs.has(job.id) && !job.isComplete;
+    }
+
+    // Whether the results are POSTed in batches as they finish, rather than all at once on completion
+    isBatched(state) {
+        return !!state.callback && state.callback.batch_size > 0;
+    }
+
+    isExpired(job) {
+        return job.isComplete && Date.now() - job.completedAt > this.resultTTL;
+    }
+
+    getJobRecord(state) {
+        const {job, links, callback} = state;
+
+        return {
+            op: 'job',
+            id: job.id,
+            ip: job.ip,
+            owner: job.owner,
+            lane: job.lane,
+            created_at: job.createdAt,
+            callback: callback ? {url: callback.url, batch_size: callback.batch_size} : null,
+            links,
+        };
+    }
+
+    // Returns the records restoring the current state of the job
+    getSnapshot(state) {
+        const {job, callback} = state;
+        const records = [this.getJobRecord(state)];
+        const result = (a) => ({op: 'result', id: job.id, a, response: job.responses[a]});
+        const unsent = new Set(this.isBatched(state) ? Object.keys(callback.batch) : []);
+
+        // Results that weren't sent in a callback batch yet come after its batch record
+        for (const a of Object.keys(job.responses)) {
+            if (!unsent.has(a)) records.push(result(a));
+        }
+
+        if (this.isBatched(state) && callback.batches > 0) {
+            records.push({op: 'batch', id: job.id, number: callback.batches - 1});
+        }
+
+        records.push(...[...unsent].map(result));
+
+        for (const link of job.getRemainingLinks()) {
+            if (link.attempts) {
+                records.push({op: 'attempt', id: job.id, a: link.link.getParams().a, attempts: link.attempts});
+            }
+        }
+
+        if (job.isComplete) {
+            records.push({op: 'complete', id: job.id, completed_at: job.completedAt});
+        }
+
+        return records;
+    }
+
+    /**
+     * Rewrites the journal without the records of expired jobs and superseded records, the current journal is kept
+     * if that fails
+     */
+    compact() {
+        const lines = [];
+
+        for (const [id, state] of this.jobs) {
+            if (this.isExpired(state.job)) {
+                this.jobs.delete(id);
+                continue;
+            }
+
+            for (const record of this.getSnapshot(state)) {
+                lines.push(JSON.stringify(record) + '\n');
+            }
+        }
+
+        let fd;
+
+        try {
+            // Write to a temporary file first so a crash can't leave a truncated journal behind
+            fs.writeFileSync(`${this.file}.tmp`, lines.join(''));
+            fs.renameSync(`${this.file}.tmp`, this.file);
+            fd = fs.openSync(this.file, 'a');
+        } catch (e) {
+            winston.error(`Failed to compact the queue journal ${this.file}: ${e.message}`);
+
+            // Try again once as many records piled up, rather than on every write
+            this.compactAt = this.records + Math.max(10000, lines.length * 2);
+            return;
+        }
+
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+        }
+
+        this.fd = fd;
+        this.records = lines.length;
+        this.compactAt = Math.max(10000, lines.length * 2);
+    }
+
+    write(record) {
+        if (this.fd === null) return;
+
+        try {
+            fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+        } catch (e) {
+            winston.error(`Failed to write to the queue journal ${this.file}: ${e.message}`);
+        }
+
+        if (++this.records >= this.compactAt) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Stops writing, the jobs that are still pending are resumed on the next start
+     */
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = JobJournal;
@@ -0,0 +1,67 @@
+const winston = global.winston || require('winston');
+
+// Keeps asynchronous jobs around so their progress and results can be polled
+class JobStore {
+    /**
+     * @param {number} resultTTL Seconds to keep the results of a job after it completes
+     */
+    constructor(resultTTL) {
+        this.resultTTL = (resultTTL || 3600) * 1000;
+        this.jobs = new Map();
+
+        const interval = setInterval(() => this.removeExpired(), 60 * 1000);
+        interval.unref();
+    }
+
+    add(job) {
+        this.jobs.set(job.id, job);
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+
+        if (job && this.isExpired(job)) {
+            this.jobs.delete(id);
+            return;
+        }
+
+        return job;
+    }
+
+    isExpired(job) {
+        return job.isComplete && Date.now() - job.completedAt > this.resultTTL;
+    }
+
+    removeExpired() {
+        let removed = 0;
+
+        for (const [id, job] of this.jobs) {
+            if (this.isExpired(job)) {
+                this.jobs.delete(id);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            winston.debug(`Removed ${removed} expired bulk jobs`);
+        }
+    }
+
+    size() {
+        return this.jobs.size;
+    }
+
+    getStats() {
+        let pending = 0;
+        for (const job of this.jobs.values()) {
+            if (!job.isComplete) pending++;
+        }
+
+        return {
+            total: this.jobs.size,
+            pending: pending,
+        };
+    }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,89 @@
+// Least recently used cache with an optional time to live for each entry
+class LRUCache {
+    /**
+     * @param {number} maxSize Maximum amount of entries to keep
+     * @param {number} [ttl] Seconds an entry stays valid, 0 to keep entries until they are evicted
+     * @param {Function} [onRemove] Called with (key, value) when an entry is evicted, expires or is deleted
+     */
+    constructor(maxSize, ttl, onRemove) {
+        this.maxSize = maxSize;
+        this.ttl = (ttl || 0) * 1000;
+        this.onRemove = onRemove;
+
+        // Maps iterate in insertion order, so the first key is the least recently used
+        this.entries = new Map();
+
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || (this.ttl > 0 && Date.now() > entry.expires)) {
+            if (entry) this.delete(key);
+            this.misses++;
+            return;
+        }
+
+        // Move to the most recently used position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        this.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        }
+
+        this.entries.set(key, {value, expires: Date.now() + this.ttl});
+
+        while (this.entries.size > this.maxSize) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+
+        if (this.onRemove) {
+            this.onRemove(key, entry.value);
+        }
+
+        return true;
+    }
+
+    clear() {
+        if (!this.onRemove) {
+            return this.entries.clear();
+        }
+
+        for (const key of [...this.entries.keys()]) {
+            this.delete(key);
+        }
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+
+        return {
+            size: this.entries.size,
+            max_size: this.maxSize,
+            hits: this.hits,
+            misses: this.misses,
+            hit_rate: lookups > 0 ? parseFloat((this.hits / lookups).toFixed(4)) : 0,
+        };
+    }
+}
+
+module.exports = LRUCache;
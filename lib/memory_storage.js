@@ -0,0 +1,238 @@
+/* global BigInt */
+
+const Storage = require('./storage'),
+    Postgres = require('./postgres'),
+    utils = require('./utils');
+
+// Rankings stop at 1000 like the Postgres rank subqueries
+const MAX_RANK = 1000;
+
+/*
+    Stores items in memory using the same row format as the Postgres items table
+
+    Meant for small deployments and tests without a database server, everything is lost on restart
+ */
+class MemoryStorage extends Storage {
+    constructor() {
+        super();
+
+        // Unique item key (defindex, paintindex, paintwear, paintseed) -> row
+        this.items = new Map();
+        // Signed asset id -> unique item key
+        this.assetIndex = new Map();
+        // Past owners and asset ids, mirrors the history table
+        this.history = [];
+    }
+
+    static getRowKey(row) {
+        return `${row.defindex}_${row.paintindex}_${row.paintwear}_${row.paintseed}`;
+    }
+
+    getRow(assetId) {
+        const key = this.assetIndex.get(utils.unsigned64ToSigned(assetId).toString());
+        return key && this.items.get(key);
+    }
+
+    /*
+        Counts the items of the same skin and type with a lower and higher float, up to max
+     */
+    getRowRank(row, max = MAX_RANK) {
+        let low = 0;
+        let high = 0;
+
+        for (const other of this.items.values()) {
+            if (other.defindex !== row.defindex || other.paintindex !== row.paintindex ||
+                other.stattrak !== row.stattrak || other.souvenir !== row.souvenir) {
+                continue;
+            }
+
+            if (other.paintwear < row.paintwear) low++;
+            else if (other.paintwear > row.paintwear) high++;
+        }
+
+        return {
+            low_rank: Math.min(low, max) + 1,
+            high_rank: Math.min(high, max) + 1,
+        };
+    }
+
+    async getItemData(links) {
+        const result = [];
+
+        for (const link of links) {
+            const row = this.getRow(link.getParams().a);
+
+            if (row) {
+                const copy = Object.assign({}, row, this.getRowRank(row));
+                result.push(Postgres.decodeRow(JSON.parse(JSON.stringify(copy))));
+            }
+        }
+
+        return result;
+    }
+
+    async insertItemData(item, price) {
+        const row = Postgres.encodeItem(item, price);
+
+        if (!row) {
+            return;
+        }
+
+        const key = MemoryStorage.getRowKey(row);
+        const existing = this.items.get(key);
+
+        row.updated = new Date();
+
+        if (!existing) {
+            // The float id is the first asset id we've seen for an item
+            row.floatid = row.a;
+            row.listed_price = null;
+
+            this.items.set(key, row);
+            this.assetIndex.set(row.a, key);
+            return;
+        }
+
+        // Same handling as the extend_history trigger
+        if (BigInt(row.a) < BigInt(existing.a)) {
+            this.addHistory(existing.floatid, row.a, row.ms, row.updated, null);
+            return;
+        }
+
+        if (row.a !== existing.a) {
+            if ((utils.isSteamId64(utils.signed64ToUnsigned(existing.ms)) && existing.ms !== row.ms) ||
+                existing.price !== null) {
+                this.addHistory(existing.floatid, existing.a, existing.ms, existing.updated, existing.price);
+            }
+
+            // The upsert doesn't update the price, so the trigger always resets it for a new asset id
+            existing.price = null;
+            existing.listed_price = null;
+
+            this.assetIndex.delete(existing.a);
+            this.assetIndex.set(row.a, key);
+        }
+
+        Object.assign(existing, {
+            ms: row.ms,
+            a: row.a,
+            d: row.d,
+            stickers: row.stickers,
+            keychains: row.keychains,
+            updated: row.updated,
+        });
+    }
+
+    addHistory(floatid, a, steamid, createdAt, price) {
+        if (this.history.find((e) => e.floatid === floatid && e.a === a)) {
+            return;
+        }
+
+        this.history.push({floatid, a, steamid, created_at: createdAt, price});
+    }
+
+    async updateItemPrice(assetId, price) {
+        const row = this.getRow(assetId);
+
+        if (row) {
+            row.price = price;
+        }
+    }
+
+    async getRankedItems(options) {
+        const rows = [...this.items.values()].filter((row) => {
+            return ['defindex', 'paintindex', 'stattrak', 'souvenir']
+                .every((column) => options[column] === undefined || row[column] === options[column]);
+        });
+
+        rows.sort((a, b) => {
+            const diff = options.order === 'high' ? b.paintwear - a.paintwear : a.paintwear - b.paintwear;
+            return diff !== 0 ? diff : (BigInt(a.a) < BigInt(b.a) ? -1 : 1);
+        });
+
+        return rows.slice(options.offset, options.offset + options.limit).map((row) => {
+            const item = Postgres.decodeRow(JSON.parse(JSON.stringify(row)));
+            const rank = this.getRowRank(row, Infinity);
+            return Object.assign(item, {rank: options.order === 'high' ? rank.high_rank : rank.low_rank});
+        });
+    }
+
+    async searchItems(query) {
+        const paintwearMin = query.float_min !== undefined ? Postgres.floatToPaintwear(query.float_min) : undefined;
+        const paintwearMax = query.float_max !== undefined ? Postgres.floatToPaintwear(query.float_max) : undefined;
+
+        const containsIds = (list, ids) => ids.every((id) => (list || []).some((e) => e.i === id));
+
+        const rows = [...this.items.values()].filter((row) => {
+            return ['defindex', 'paintindex', 'stattrak', 'souvenir']
+                .every((column) => query[column] === undefined || row[column] === query[column]) &&
+                (!query.paintseeds || query.paintseeds.includes(row.paintseed)) &&
+                (paintwearMin === undefined || row.paintwear >= paintwearMin) &&
+                (paintwearMax === undefined || row.paintwear < paintwearMax) &&
+                (!query.stickers || containsIds(row.stickers, query.stickers)) &&
+                (!query.keychains || containsIds(row.keychains, query.keychains)) &&
+                (!query.cursor || row.paintwear > query.cursor.paintwear ||
+                    (row.paintwear === query.cursor.paintwear && BigInt(row.a) > BigInt(query.cursor.a)));
+        });
+
+        rows.sort((a, b) => a.paintwear - b.paintwear || (BigInt(a.a) < BigInt(b.a) ? -1 : 1));
+
+        const page = rows.slice(0, query.limit).map((row) => JSON.parse(JSON.stringify(row)));
+        return Postgres.decodeSearchResults(page, query.limit);
+    }
+
+    async getItemHistory(options) {
+        let current;
+
+        if (options.floatid) {
+            const floatid = utils.unsigned64ToSigned(options.floatid).toString();
+            current = [...this.items.values()].find((row) => row.floatid === floatid);
+        } else {
+            current = this.getRow(options.a);
+
+            if (!current) {
+                // Might be a previous asset id of the item
+                const a = utils.unsigned64ToSigned(options.a).toString();
+                const entry = this.history.find((e) => e.a === a);
+                current = entry && [...this.items.values()].find((row) => row.floatid === entry.floatid);
+            }
+        }
+
+        if (!current) {
+            return null;
+        }
+
+        const entries = this.history.filter((e) => e.floatid === current.floatid);
+        entries.sort((x, y) => {
+            const diff = x.created_at - y.created_at || (BigInt(x.a) < BigInt(y.a) ? -1 : 1);
+            return options.order === 'desc' ? -diff : diff;
+        });
+
+        const page = entries.slice(options.offset, options.offset + options.limit);
+
+        return Postgres.decodeHistory(current, entries.length,
+            page.map((e) => ({a: e.a, ms: e.steamid, updated: e.created_at, price: e.price})));
+    }
+
+    async getItemRank(id) {
+        const row = this.getRow(id);
+
+        if (!row) {
+            return {};
+        }
+
+        const rank = this.getRowRank(row);
+        const result = {};
+
+        if (rank.high_rank <= MAX_RANK) {
+            result.high_rank = rank.high_rank;
+        }
+        if (rank.low_rank <= MAX_RANK) {
+            result.low_rank = rank.low_rank;
+        }
+
+        return result;
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,173 @@
+const client = require('prom-client');
+
+// Buckets in seconds, GC replies usually take a few hundred milliseconds and time out after request_ttl
+const INSPECT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20, 30];
+const QUEUE_WAIT_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const QUERY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+/*
+    Collects the Prometheus metrics served by GET /metrics
+
+    Counters and histograms are updated from events, gauges are read from their sources on each scrape
+ */
+class Metrics {
+    constructor() {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({register: this.registry});
+
+        const registers = [this.registry];
+
+        this.requests = new client.Counter({
+            name: 'csgofloat_http_requests_total',
+            help: 'HTTP requests by route, status and error code',
+            labelNames: ['method', 'route', 'status', 'code'],
+            registers,
+        });
+
+        this.queueWait = new client.Histogram({
+            name: 'csgofloat_queue_wait_seconds',
+            help: 'Time links waited in the queue before their first attempt',
+            labelNames: ['lane'],
+            buckets: QUEUE_WAIT_BUCKETS,
+            registers,
+        });
+
+        this.inspectDuration = new client.Histogram({
+            name: 'csgofloat_gc_inspect_duration_seconds',
+            help: 'Time until the GC replied to an inspect request',
+            labelNames: ['bot', 'result'],
+            buckets: INSPECT_BUCKETS,
+            registers,
+        });
+
+        this.queryDuration = new client.Histogram({
+            name: 'csgofloat_db_query_duration_seconds',
+            help: 'Duration of storage backend queries',
+            labelNames: ['operation', 'result'],
+            buckets: QUERY_BUCKETS,
+            registers,
+        });
+    }
+
+    /*
+        Express middleware counting the finished requests, error replies set res.locals.errorCode
+     */
+    middleware() {
+        return (req, res, next) => {
+            res.on('finish', () => {
+                this.requests.inc({
+                    method: req.method,
+                    // Unmatched routes are grouped so random paths don't create new series
+                    route: req.route ? req.baseUrl + req.route.path : 'other',
+                    status: res.statusCode,
+                    code: res.locals.errorCode !== undefined ? res.locals.errorCode : '',
+                });
+            });
+
+            next();
+        };
+    }
+
+    observeQueue(queue) {
+        queue.on('job started', (job, waitMs) => {
+            this.queueWait.observe({lane: job.lane}, waitMs / 1000);
+        });
+
+        new client.Gauge({
+            name: 'csgofloat_queue_depth',
+            help: 'Links waiting in each queue lane',
+            labelNames: ['lane'],
+            registers: [this.registry],
+            collect() {
+                for (const [lane, stats] of Object.entries(queue.getLaneStats())) {
+                    this.set({lane}, stats.depth);
+                }
+            },
+        });
+
+        new client.Gauge({
+            name: 'csgofloat_queue_processing',
+            help: 'Links currently being inspected',
+            registers: [this.registry],
+            collect() {
+                this.set(queue.processing || 0);
+            },
+        });
+    }
+
+    observeBots(botController) {
+        botController.on('inspected', (bot, ms, result) => {
+            this.inspectDuration.observe({bot: bot.username, result}, ms / 1000);
+        });
+
+        new client.Gauge({
+            name: 'csgofloat_bots',
+            help: 'Bots and accounts by state',
+            labelNames: ['state'],
+            registers: [this.registry],
+            collect() {
+                const status = botController.getBotStatus();
+
+                this.set({state: 'ready'}, status.online);
+                this.set({state: 'busy'}, status.busy);
+                this.set({state: 'quarantined'}, status.quarantined || 0);
+                this.set({state: 'total'}, status.total);
+                this.set({state: 'target'}, status.target || 0);
+                this.set({state: 'failed'}, status.failed);
+                this.set({state: 'spare'}, status.spares);
+                this.set({state: 'pending_auth'}, status.pendingAuth);
+            },
+        });
+    }
+
+    observeProxies(proxyPoolManager) {
+        // The stats of a proxy group are exported under its label, the proxy URL without credentials
+        const groupGauge = (name, help, value) => new client.Gauge({
+            name,
+            help,
+            labelNames: ['proxy'],
+            registers: [this.registry],
+            collect() {
+                // Groups can be removed, don't keep exporting their last values
+                this.reset();
+
+                for (const group of proxyPoolManager.getStats().groups) {
+                    this.set({proxy: group.proxy}, value(group));
+                }
+            },
+        });
+
+        groupGauge('csgofloat_proxy_active_requests', 'Inspect requests in progress through the proxy',
+            (g) => g.activeRequests);
+        groupGauge('csgofloat_proxy_requests', 'Inspect requests sent through the proxy', (g) => g.totalRequests);
+        groupGauge('csgofloat_proxy_failures', 'Failed requests through the proxy', (g) => g.failures);
+        groupGauge('csgofloat_proxy_bots', 'Bots assigned to the proxy', (g) => g.bots);
+        groupGauge('csgofloat_proxy_available_bots', 'Ready and idle bots assigned to the proxy', (g) => g.available);
+        groupGauge('csgofloat_proxy_login_failures', 'Failed logins through the proxy', (g) => g.loginFailures);
+
+        new client.Gauge({
+            name: 'csgofloat_proxy_failed',
+            help: 'Proxies excluded after failed logins',
+            registers: [this.registry],
+            collect() {
+                this.set(proxyPoolManager.getStats().failedProxies);
+            },
+        });
+    }
+
+    observeStorage(storage) {
+        storage.on('query', (operation, ms, error) => {
+            this.queryDuration.observe({operation, result: error ? 'error' : 'success'}, ms / 1000);
+        });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    metrics() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = Metrics;
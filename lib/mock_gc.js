@@ -0,0 +1,212 @@
+const fs = require('fs'),
+    crypto = require('crypto'),
+    EventEmitter = require('events').EventEmitter;
+
+/*
+    Fake steam-user and globaloffensive clients for running the service without Steam accounts or network access
+
+    Inspect replies come from a fixture file (asset id -> item info as sent by the GC) and fall back to items generated
+    from the asset id, so the same asset always returns the same item.
+
+    A fixture can script what happens to its asset with a "mock" object, the rest of its fields are the item info:
+        outcome     reply (default), timeout (inspectItemTimedOut after timeout_delay), no_reply (the request is
+                    dropped) or disconnect (the GC session drops instead of replying)
+        failures    Amount of requests of the asset that get the outcome before it is replied to, all if not set
+        latency     Milliseconds until the reply, instead of latency +/- latency_jitter
+ */
+
+const defaultOptions = {
+    // JSON file mapping asset ids to the item info the GC replies with
+    fixtures: '',
+    // Milliseconds until logging in and connecting to the GC succeed
+    login_delay: 500,
+    // Milliseconds until the GC replies to an inspect request, +/- latency_jitter
+    latency: 200,
+    latency_jitter: 100,
+    // Chance (0-1) that an inspect request times out instead of replying
+    failure_rate: 0,
+    // Milliseconds until an inspect request that fails emits inspectItemTimedOut
+    timeout_delay: 10000,
+    // Chance (0-1) that the GC session drops after an inspect request, it reconnects after login_delay
+    disconnect_rate: 0,
+};
+
+function delay(ms, fn) {
+    return setTimeout(fn, Math.max(0, ms));
+}
+
+/*
+    Generates a deterministic item for the asset id
+ */
+function generateItem(assetId) {
+    const hash = crypto.createHash('sha1').update(assetId.toString()).digest();
+
+    return {
+        accountid: null,
+        itemid: assetId.toString(),
+        defindex: 7,
+        paintindex: 282,
+        rarity: 5,
+        quality: 4,
+        // Float between 0.1 and 0.7 like the Redline
+        paintwear: 0.1 + (hash.readUInt32BE(0) / 0xffffffff) * 0.6,
+        paintseed: hash.readUInt16BE(4) % 1001,
+        killeaterscoretype: null,
+        killeatervalue: null,
+        customname: null,
+        stickers: [],
+        keychains: [],
+        inventory: 11,
+        origin: 8,
+        questid: null,
+        dropreason: null,
+        musicindex: null,
+    };
+}
+
+function createClients(options) {
+    options = Object.assign({}, defaultOptions, options);
+
+    const fixtures = options.fixtures ? JSON.parse(fs.readFileSync(options.fixtures, 'utf8')) : {};
+
+    // Asset id -> amount of requests that got the scripted outcome of its fixture, shared by every bot
+    const failures = new Map();
+
+    /*
+        Returns the scripted outcome of the next request of the asset, and counts it
+     */
+    function getOutcome(assetid) {
+        const mock = (fixtures[assetid] && fixtures[assetid].mock) || {};
+        const outcome = mock.outcome || 'reply';
+
+        if (outcome === 'reply') return outcome;
+
+        const count = failures.get(String(assetid)) || 0;
+        if (mock.failures !== undefined && count >= mock.failures) return 'reply';
+
+        failures.set(String(assetid), count + 1);
+        return outcome;
+    }
+
+    class MockSteamUser extends EventEmitter {
+        constructor() {
+            super();
+
+            this.steamID = null;
+            this.loggedOn = false;
+        }
+
+        logOn(details) {
+            this.details = details;
+
+            clearTimeout(this.loginTimeout);
+            this.loginTimeout = delay(options.login_delay, () => {
+                this.loggedOn = true;
+                this.steamID = '76561198000000000';
+                this.emit('loggedOn', {}, {});
+
+                // Listeners for the ownership cache are attached in the loggedOn handler
+                setImmediate(() => this.emit('ownershipCached'));
+            });
+        }
+
+        logOff() {
+            clearTimeout(this.loginTimeout);
+
+            if (this.loggedOn) {
+                this.gamesPlayed([]);
+            }
+
+            this.loggedOn = false;
+            this.steamID = null;
+        }
+
+        relog() {
+            this.logOff();
+            this.emit('disconnected', 0, 'Relog');
+            this.logOn(this.details);
+        }
+
+        gamesPlayed(apps) {
+            this.emit(apps.includes(730) ? 'mockAppLaunched' : 'mockAppQuit');
+        }
+
+        ownsApp() {
+            return true;
+        }
+
+        requestFreeLicense(apps, callback) {
+            callback(null, [], apps);
+        }
+    }
+
+    class MockGlobalOffensive extends EventEmitter {
+        constructor(steamUser) {
+            super();
+
+            this.steamUser = steamUser;
+            this.haveGCSession = false;
+
+            steamUser.on('mockAppLaunched', () => this.connect());
+            steamUser.on('mockAppQuit', () => this.disconnect('App quit'));
+        }
+
+        connect() {
+            clearTimeout(this.connectTimeout);
+            this.connectTimeout = delay(options.login_delay, () => {
+                if (!this.steamUser.loggedOn || this.haveGCSession) return;
+
+                this.haveGCSession = true;
+                this.emit('connectedToGC');
+            });
+        }
+
+        disconnect(reason) {
+            clearTimeout(this.connectTimeout);
+
+            if (this.haveGCSession) {
+                this.haveGCSession = false;
+                this.emit('disconnectedFromGC', reason);
+            }
+        }
+
+        inspectItem(owner, assetid) {
+            if (!this.haveGCSession) return;
+
+            const fixture = Object.assign({}, fixtures[assetid]);
+            const mock = fixture.mock || {};
+            delete fixture.mock;
+
+            const outcome = getOutcome(assetid);
+
+            if (outcome === 'no_reply') {
+                return;
+            } else if (outcome === 'disconnect') {
+                this.disconnect('Mock disconnect');
+                this.connect();
+                return;
+            } else if (outcome === 'timeout' || Math.random() < options.failure_rate) {
+                delay(options.timeout_delay, () => this.emit('inspectItemTimedOut', assetid));
+                return;
+            }
+
+            const jitter = (Math.random() * 2 - 1) * options.latency_jitter;
+
+            delay(mock.latency !== undefined ? mock.latency : options.latency + jitter, () => {
+                if (!this.haveGCSession) return;
+
+                const item = Object.assign(generateItem(assetid), fixture);
+                this.emit('inspectItemInfo', JSON.parse(JSON.stringify(item)));
+
+                if (Math.random() < options.disconnect_rate) {
+                    this.disconnect('Mock disconnect');
+                    this.connect();
+                }
+            });
+        }
+    }
+
+    return {SteamUser: MockSteamUser, GlobalOffensive: MockGlobalOffensive};
+}
+
+module.exports = {createClients, generateItem};
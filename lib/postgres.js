@@ -1,5 +1,8 @@
 const { Pool } = require('pg'),
     utils = require('./utils'),
+    LRUCache = require('./lru_cache'),
+    Storage = require('./storage'),
+    search = require('./search'),
     winston = require('winston');
 
 
@@ -9,29 +12,93 @@ function flatten(arr){
     return newArr
 }
 
-class Postgres {
-    constructor(url, enableBulkInserts) {
+function copy(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+class Postgres extends Storage {
+    /**
+     * @param url Postgres connection string
+     * @param enableBulkInserts Whether to buffer inserts and write them once a second
+     * @param [cacheConfig] {enable, max_size, ttl} of the in-memory cache in front of item and rank lookups
+     */
+    constructor(url, enableBulkInserts, cacheConfig) {
+        super();
+
         this.pool = new Pool({
             connectionString: url
         });
 
         this.enableBulkInserts = enableBulkInserts || false;
 
+        if (cacheConfig && cacheConfig.enable) {
+            const maxSize = cacheConfig.max_size || 10000;
+            const ttl = cacheConfig.ttl !== undefined ? cacheConfig.ttl : 60;
+
+            // Maps the unique item key (defindex, paintindex, paintwear, paintseed) to the cached asset id,
+            // so an insert of a newer asset id for the same item can invalidate the old one
+            this.cachedItemKeys = new Map();
+
+            this.itemCache = new LRUCache(maxSize, ttl, (a, item) => {
+                const key = Postgres.getItemKey(item);
+                if (this.cachedItemKeys.get(key) === a) {
+                    this.cachedItemKeys.delete(key);
+                }
+            });
+            this.rankCache = new LRUCache(maxSize, ttl);
+        }
+
         if (enableBulkInserts) {
             this.queuedInserts = [];
 
-            setInterval(() => {
-                if (this.queuedInserts.length > 0) {
-                    const copy = [...this.queuedInserts];
-                    this.queuedInserts = [];
-                    this.handleBulkInsert(copy);
-                }
-            }, 1000);
+            this.insertInterval = setInterval(() => this.flushInserts(), 1000);
         }
     }
 
     connect() {
-        return this.pool.connect().then(() => this.ensureSchema());
+        // Release the test connection, the pool couldn't end while it is checked out
+        return this.pool.connect().then((client) => {
+            client.release();
+            return this.ensureSchema();
+        });
+    }
+
+    async close() {
+        clearInterval(this.insertInterval);
+
+        if (this.enableBulkInserts) {
+            await this.flushInserts();
+        }
+
+        await this.pool.end();
+    }
+
+    /*
+        Writes the items queued by insertItemData when bulk inserts are enabled
+     */
+    async flushInserts() {
+        if (this.queuedInserts.length > 0) {
+            const copy = [...this.queuedInserts];
+            this.queuedInserts = [];
+            await this.handleBulkInsert(copy);
+        }
+    }
+
+    /*
+        Runs the query on the pool and emits 'query' with the operation, its duration in ms and the error if it failed
+     */
+    async query(operation, text, values) {
+        const start = process.hrtime.bigint();
+        let error = null;
+
+        try {
+            return await this.pool.query(text, values);
+        } catch (e) {
+            error = e;
+            throw e;
+        } finally {
+            this.emit('query', operation, Number(process.hrtime.bigint() - start) / 1e6, error);
+        }
     }
 
     /*
@@ -52,6 +119,238 @@ class Postgres {
         }
     }
 
+    /*
+        Float is stored as int32 to prevent float rounding errors
+        Postgres doesn't support unsigned types, so we use signed here
+     */
+    static floatToPaintwear(floatvalue) {
+        const buf = Buffer.alloc(4);
+        buf.writeFloatBE(floatvalue, 0);
+        return buf.readInt32BE(0);
+    }
+
+    static paintwearToFloat(paintwear) {
+        const buf = Buffer.alloc(4);
+        buf.writeInt32BE(paintwear, 0);
+        return buf.readFloatBE(0);
+    }
+
+    /*
+        Returns the key of the unique item index (i_unique_item) for the given item info
+     */
+    static getItemKey(item) {
+        return `${item.defindex}_${item.paintindex}_${Postgres.floatToPaintwear(item.floatvalue)}_${item.paintseed}`;
+    }
+
+    /*
+        Converts the item info into the row stored in the items table, returns null if the item shouldn't be stored
+     */
+    static encodeItem(item, price) {
+        item = Object.assign({}, item);
+
+        item.paintwear = Postgres.floatToPaintwear(item.floatvalue);
+
+        if (item.floatvalue <= 0 && item.defindex !== 507) {
+            // Only insert weapons, naive check
+            // Special case for the 0 float Karambit
+            return null;
+        }
+
+        // Postgres doesn't support unsigned 64 bit ints, so we convert them to signed
+        item.s = utils.unsigned64ToSigned(item.s).toString();
+        item.a = utils.unsigned64ToSigned(item.a).toString();
+        item.d = utils.unsigned64ToSigned(item.d).toString();
+        item.m = utils.unsigned64ToSigned(item.m).toString();
+
+        const stickers = item.stickers.length > 0 ? item.stickers.map((s) => {
+            const res = {s: s.slot, i: s.stickerId};
+            if (s.wear) {
+                res.w = s.wear;
+            }
+            if (s.rotation) {
+                res.r = s.rotation;
+            }
+            if (s.offset_x) {
+                res.x = s.offset_x;
+            }
+            if (s.offset_y) {
+                res.y = s.offset_y;
+            }
+            return res;
+        }) : null;
+
+        if (stickers) {
+            // Add a property on stickers with duplicates that signifies how many dupes there are
+            // Only add this property to one of the dupe stickers in the array
+            for (const sticker of stickers) {
+                const matching = stickers.filter((s) => s.i === sticker.i);
+                if (matching.length > 1 && !matching.find((s) => s.d > 1)) {
+                    sticker.d = matching.length;
+                }
+            }
+        }
+
+        const keychains = item.keychains.length > 0 ? item.keychains.map((s) => {
+            const res = {s: s.slot, i: s.sticker_id};
+            if (s.wear) {
+                res.w = s.wear;
+            }
+            if (s.scale) {
+                res.sc = s.scale;
+            }
+            if (s.rotation) {
+                res.r = s.rotation;
+            }
+            if (s.tint_id) {
+                res.t = s.tint_id;
+            }
+            if (s.offset_x) {
+                res.x = s.offset_x;
+            }
+            if (s.offset_y) {
+                res.y = s.offset_y;
+            }
+            if (s.offset_z) {
+                res.z = s.offset_z;
+            }
+            if (s.pattern) {
+                res.p = s.pattern;
+            }
+            return res;
+        }) : null;
+
+        const ms = item.s !== '0' ? item.s : item.m;
+        const isStattrak = item.killeatervalue !== null;
+        const isSouvenir = item.quality === 12;
+
+        const props = Postgres.storeProperties(item.origin, item.quality, item.rarity);
+
+        return {
+            ms, a: item.a, d: item.d, paintseed: item.paintseed, paintwear: item.paintwear, defindex: item.defindex,
+            paintindex: item.paintindex, stattrak: isStattrak, souvenir: isSouvenir, props, stickers, keychains,
+            rarity: item.rarity, price: price || null,
+        };
+    }
+
+    /*
+        Converts a row of the items table (with low_rank and high_rank) back into the item info of the API
+     */
+    static decodeRow(item) {
+        delete item.updated;
+
+        // Correspond to existing API, ensure we can still recreate the full item name
+        if (item.stattrak) {
+            item.killeatervalue = 0;
+        } else {
+            item.killeatervalue = null;
+        }
+
+        item.stickers = item.stickers || [];
+        item.stickers = item.stickers.map((s) => {
+            return {
+                stickerId: s.i,
+                slot: s.s,
+                wear: s.w,
+                rotation: s.r,
+                offset_x: s.x,
+                offset_y: s.y,
+            }
+        });
+
+        item.keychains = item.keychains || [];
+        item.keychains = item.keychains.map((s) => {
+            return {
+                sticker_id: s.i,
+                slot: s.s,
+                wear: s.w,
+                scale: s.sc,
+                rotation: s.r,
+                tint_id: s.t,
+                offset_x: s.x,
+                offset_y: s.y,
+                offset_z: s.z,
+                pattern: s.p,
+            }
+        });
+
+        item = Object.assign(Postgres.extractProperties(item.props), item);
+
+        item.floatvalue = Postgres.paintwearToFloat(item.paintwear);
+
+        item.a = utils.signed64ToUnsigned(item.a).toString();
+        item.d = utils.signed64ToUnsigned(item.d).toString();
+        item.ms = utils.signed64ToUnsigned(item.ms).toString();
+
+        if (utils.isSteamId64(item.ms)){
+            item.s = item.ms;
+            item.m = '0';
+        } else {
+            item.m = item.ms;
+            item.s = '0';
+        }
+
+        item.high_rank = parseInt(item.high_rank);
+        item.low_rank = parseInt(item.low_rank);
+
+        // Delete the rank if above 1000 (we don't get ranking above that) or if it wasn't queried
+        if (item.high_rank === 1001 || isNaN(item.high_rank)) {
+            delete item.high_rank;
+        }
+
+        if (item.low_rank === 1001 || isNaN(item.low_rank)) {
+            delete item.low_rank;
+        }
+
+        delete item.souvenir;
+        delete item.stattrak;
+        delete item.paintwear;
+        delete item.ms;
+        delete item.props;
+        delete item.price;
+        delete item.listed_price;
+        delete item.dupe_count;
+
+        return item;
+    }
+
+    /*
+        Converts the current items row and history rows of an item into the API format
+        Each entry is the steamid (s) or market listing id (m) that had the asset id (a) at the timestamp
+     */
+    static decodeHistory(current, total, entries) {
+        const decodeEntry = (e) => {
+            const ms = utils.signed64ToUnsigned(e.ms).toString();
+            const isSteamId = utils.isSteamId64(ms);
+
+            return {
+                a: utils.signed64ToUnsigned(e.a).toString(),
+                s: isSteamId ? ms : '0',
+                m: isSteamId ? '0' : ms,
+                timestamp: new Date(e.updated).toISOString(),
+                price: e.price,
+            };
+        };
+
+        return {
+            floatid: utils.signed64ToUnsigned(current.floatid).toString(),
+            current: decodeEntry(current),
+            total: total,
+            history: entries.map(decodeEntry),
+        };
+    }
+
+    /*
+        Converts a page of search result rows into the API format, with the cursor of the next page if there may be one
+     */
+    static decodeSearchResults(rows, limit) {
+        const last = rows[rows.length - 1];
+
+        return {
+            items: rows.map((row) => Postgres.decodeRow(row)),
+            next_cursor: rows.length === limit ? search.encodeCursor(last.paintwear, last.a) : null,
+        };
+    }
+
     async ensureSchema() {
         await this.pool.query(`CREATE TABLE IF NOT EXISTS items (
             ms          bigint  NOT NULL,
@@ -81,6 +380,21 @@ class Postgres {
             PRIMARY KEY (floatid, a)
         );
 
+        CREATE TABLE IF NOT EXISTS api_keys (
+            key                         text    NOT NULL,
+            name                        text,
+            permissions                 text[]  NOT NULL DEFAULT '{}',
+            rate_limit_window_ms        integer,
+            rate_limit_max              integer,
+            daily_quota                 integer,
+            max_bulk_size               integer,
+            max_simultaneous_requests   integer,
+            enabled                     boolean NOT NULL DEFAULT true,
+            PRIMARY KEY (key)
+        );
+
+        ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS webhook_secret text;
+
         ALTER TABLE items ADD COLUMN IF NOT EXISTS floatid BIGINT;
         ALTER TABLE items ADD COLUMN IF NOT EXISTS price INTEGER;
         ALTER TABLE items ADD COLUMN IF NOT EXISTS listed_price INTEGER;
@@ -178,13 +492,34 @@ class Postgres {
 
         await this.pool.query(`CREATE INDEX IF NOT EXISTS i_stickers ON items USING gin (stickers jsonb_path_ops) 
                                 WHERE stickers IS NOT NULL`);
-        await this.pool.query(`CREATE INDEX IF NOT EXISTS i_paintwear ON items (paintwear)`);
+        await this.pool.query('CREATE INDEX IF NOT EXISTS i_paintwear ON items (paintwear)');
         await this.pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS i_unique_item ON 
                                 items (defindex, paintindex, paintwear, paintseed)`);
-        await this.pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS i_unique_fid ON items (floatid)`);
+        await this.pool.query('CREATE UNIQUE INDEX IF NOT EXISTS i_unique_fid ON items (floatid)');
+    }
+
+    /*
+        Removes cached data of the item, including an older asset id of the same item
+        Every cached rank is dropped as well, since a new item shifts the ranks of the others
+     */
+    invalidateItem(item) {
+        if (!this.itemCache) return;
+
+        const a = item.a.toString();
+        const previousA = this.cachedItemKeys.get(Postgres.getItemKey(item));
+
+        this.itemCache.delete(a);
+
+        if (previousA) {
+            this.itemCache.delete(previousA);
+        }
+
+        this.rankCache.clear();
     }
 
     async insertItemData(item, price) {
+        this.invalidateItem(item);
+
         if (this.enableBulkInserts) {
             this.queuedInserts.push([item, price]);
         } else {
@@ -201,102 +536,23 @@ class Postgres {
         const values = [];
         const uniqueItems = new Set();
 
-        for (let [item, price] of data) {
-            item = Object.assign({}, item);
+        for (const [item, price] of data) {
+            const row = Postgres.encodeItem(item, price);
 
-            // Store float as int32 to prevent float rounding errors
-            // Postgres doesn't support unsigned types, so we use signed here
-            const buf = Buffer.alloc(4);
-            buf.writeFloatBE(item.floatvalue, 0);
-            item.paintwear = buf.readInt32BE(0);
-
-            if (item.floatvalue <= 0 && item.defindex !== 507) {
-                // Only insert weapons, naive check
-                // Special case for the 0 float Karambit
+            if (!row) {
                 continue;
             }
 
-            // Postgres doesn't support unsigned 64 bit ints, so we convert them to signed
-            item.s = utils.unsigned64ToSigned(item.s).toString();
-            item.a = utils.unsigned64ToSigned(item.a).toString();
-            item.d = utils.unsigned64ToSigned(item.d).toString();
-            item.m = utils.unsigned64ToSigned(item.m).toString();
-
-            const stickers = item.stickers.length > 0 ? item.stickers.map((s) => {
-                const res = {s: s.slot, i: s.stickerId};
-                if (s.wear) {
-                    res.w = s.wear;
-                }
-                if (s.rotation) {
-                    res.r = s.rotation;
-                }
-                if (s.offset_x) {
-                    res.x = s.offset_x;
-                }
-                if (s.offset_y) {
-                    res.y = s.offset_y;
-                }
-                return res;
-            }) : null;
-
-            if (stickers) {
-                // Add a property on stickers with duplicates that signifies how many dupes there are
-                // Only add this property to one of the dupe stickers in the array
-                for (const sticker of stickers) {
-                    const matching = stickers.filter((s) => s.i === sticker.i);
-                    if (matching.length > 1 && !matching.find((s) => s.d > 1)) {
-                        sticker.d = matching.length;
-                    }
-                }
-            }
-
-            const keychains = item.keychains.length > 0 ? item.keychains.map((s) => {
-                const res = {s: s.slot, i: s.sticker_id};
-                if (s.wear) {
-                    res.w = s.wear;
-                }
-                if (s.scale) {
-                    res.sc = s.scale;
-                }
-                if (s.rotation) {
-                    res.r = s.rotation;
-                }
-                if (s.tint_id) {
-                    res.t = s.tint_id;
-                }
-                if (s.offset_x) {
-                    res.x = s.offset_x;
-                }
-                if (s.offset_y) {
-                    res.y = s.offset_y;
-                }
-                if (s.offset_z) {
-                    res.z = s.offset_z;
-                }
-                if (s.pattern) {
-                    res.p = s.pattern;
-                }
-                return res;
-            }) : null;
-
-            const ms = item.s !== '0' ? item.s : item.m;
-            const isStattrak = item.killeatervalue !== null;
-            const isSouvenir = item.quality === 12;
-
-            const props = Postgres.storeProperties(item.origin, item.quality, item.rarity);
-
-            price = price || null;
-
             // Prevent two of the same item from being inserted in the same statement (causes postgres to get angry)
-            const key = `${item.defindex}_${item.paintindex}_${item.paintwear}_${item.paintseed}`;
+            const key = `${row.defindex}_${row.paintindex}_${row.paintwear}_${row.paintseed}`;
             if (uniqueItems.has(key)) {
                 continue;
             } else {
                 uniqueItems.add(key);
             }
 
-            values.push([ms, item.a, item.d, item.paintseed, item.paintwear, item.defindex, item.paintindex, isStattrak,
-                isSouvenir, props, JSON.stringify(stickers), JSON.stringify(keychains), item.rarity, price]);
+            values.push([row.ms, row.a, row.d, row.paintseed, row.paintwear, row.defindex, row.paintindex, row.stattrak,
+                row.souvenir, row.props, JSON.stringify(row.stickers), JSON.stringify(row.keychains), row.rarity, row.price]);
         }
 
         if (values.length === 0) {
@@ -305,8 +561,13 @@ class Postgres {
 
         try {
             const query = Postgres.buildQuery(values.length);
-            await this.pool.query(query, flatten(values));
+            await this.query('insertItems', query, flatten(values));
             winston.debug(`Inserted/updated ${values.length} items`)
+
+            // Lookups between queueing and writing the insert may have cached the previous row again
+            for (const [item] of data) {
+                this.invalidateItem(item);
+            }
         } catch (e) {
             winston.warn(e);
         }
@@ -326,10 +587,37 @@ class Postgres {
     }
 
     updateItemPrice(assetId, price) {
-        return this.pool.query(`UPDATE items SET price = $1 WHERE a = $2`, [price, assetId]);
+        return this.query('updateItemPrice', 'UPDATE items SET price = $1 WHERE a = $2', [price, assetId]);
     }
 
     async getItemData(links) {
+        if (!this.itemCache) {
+            return this._getItemDataChunked(links);
+        }
+
+        const cached = [];
+        const missing = [];
+
+        for (const link of links) {
+            const item = this.itemCache.get(link.getParams().a);
+            if (item) {
+                cached.push(copy(item));
+            } else {
+                missing.push(link);
+            }
+        }
+
+        const fetched = missing.length > 0 ? await this._getItemDataChunked(missing) : [];
+
+        for (const item of fetched) {
+            this.itemCache.set(item.a, copy(item));
+            this.cachedItemKeys.set(Postgres.getItemKey(item), item.a);
+        }
+
+        return cached.concat(fetched);
+    }
+
+    async _getItemDataChunked(links) {
         // Chunking into db calls of 100 each is more performant
         const chunked = utils.chunkArray(links, 100);
         const promises = chunked.map(e => this._getItemData(e));
@@ -342,7 +630,7 @@ class Postgres {
     async _getItemData(links) {
         const aValues = links.map(e => utils.unsigned64ToSigned(e.getParams().a));
 
-        const result = await this.pool.query(`
+        const result = await this.query('getItemData', `
             SELECT *, 
                (SELECT Count(*)+1 
                 FROM   (SELECT * 
@@ -367,110 +655,56 @@ class Postgres {
             FROM   items S
             WHERE  a= ANY($1::bigint[])`, [aValues]);
 
-        return result.rows.map((item) => {
-            delete item.updated;
-
-            // Correspond to existing API, ensure we can still recreate the full item name
-            if (item.stattrak) {
-                item.killeatervalue = 0;
-            } else {
-                item.killeatervalue = null;
-            }
-
-            item.stickers = item.stickers || [];
-            item.stickers = item.stickers.map((s) => {
-                return {
-                    stickerId: s.i,
-                    slot: s.s,
-                    wear: s.w,
-                    rotation: s.r,
-                    offset_x: s.x,
-                    offset_y: s.y,
-                }
-            });
-
-            item.keychains = item.keychains || [];
-            item.keychains = item.keychains.map((s) => {
-                return {
-                    sticker_id: s.i,
-                    slot: s.s,
-                    wear: s.w,
-                    scale: s.sc,
-                    rotation: s.r,
-                    tint_id: s.t,
-                    offset_x: s.x,
-                    offset_y: s.y,
-                    offset_z: s.z,
-                    pattern: s.p,
-                }
-            });
-
-            item = Object.assign(Postgres.extractProperties(item.props), item);
-
-            const buf = Buffer.alloc(4);
-            buf.writeInt32BE(item.paintwear, 0);
-            item.floatvalue = buf.readFloatBE(0);
-
-            item.a = utils.signed64ToUnsigned(item.a).toString();
-            item.d = utils.signed64ToUnsigned(item.d).toString();
-            item.ms = utils.signed64ToUnsigned(item.ms).toString();
-
-            if (utils.isSteamId64(item.ms)){
-                item.s = item.ms;
-                item.m = '0';
-            } else {
-                item.m = item.ms;
-                item.s = '0';
-            }
+        return result.rows.map((row) => Postgres.decodeRow(row));
+    }
 
-            item.high_rank = parseInt(item.high_rank);
-            item.low_rank = parseInt(item.low_rank);
+    async getItemRank(id) {
+        if (!this.rankCache) {
+            return (await this._getItemRank(id)) || {};
+        }
 
-            // Delete the rank if above 1000 (we don't get ranking above that)
-            if (item.high_rank === 1001) {
-                delete item.high_rank;
-            }
+        const cached = this.rankCache.get(id.toString());
+        if (cached) {
+            return Object.assign({}, cached);
+        }
 
-            if (item.low_rank === 1001) {
-                delete item.low_rank;
-            }
+        const rank = await this._getItemRank(id);
 
-            delete item.souvenir;
-            delete item.stattrak;
-            delete item.paintwear;
-            delete item.ms;
-            delete item.props;
-            delete item.price;
-            delete item.listed_price;
-            delete item.dupe_count;
+        // Don't cache items that aren't stored yet (ie. a pending bulk insert)
+        if (!rank) {
+            return {};
+        }
 
-            return item;
-        });
+        this.rankCache.set(id.toString(), rank);
+        return Object.assign({}, rank);
     }
 
-    getItemRank(id) {
-        return this.pool.query(`SELECT (SELECT Count(*)+1
-                                        FROM   (SELECT * 
-                                                FROM   items T 
-                                                WHERE  T.paintwear < S.paintwear 
-                                                       AND T.defindex = S.defindex 
-                                                       AND T.paintindex = S.paintindex 
-                                                       AND T.stattrak = S.stattrak 
-                                                       AND T.souvenir = S.souvenir 
-                                                ORDER  BY T.paintwear 
-                                                LIMIT  1000) as a) AS low_rank,
-                                        (SELECT Count(*)+1 
-                                        FROM   (SELECT * 
-                                                FROM   items J 
-                                                WHERE  J.paintwear > S.paintwear 
-                                                       AND J.defindex = S.defindex 
-                                                       AND J.paintindex = S.paintindex 
-                                                       AND J.stattrak = S.stattrak 
-                                                       AND J.souvenir = S.souvenir 
-                                                ORDER  BY J.paintwear DESC
-                                                LIMIT  1000) as b) AS high_rank 
-                                FROM   items S
-                                WHERE  a=$1`,
+    /*
+        Returns the low and high rank of the item, or undefined if the item isn't stored
+     */
+    _getItemRank(id) {
+        return this.query('getItemRank', `SELECT (SELECT Count(*)+1
+                                                     FROM   (SELECT * 
+                                                             FROM   items T 
+                                                             WHERE  T.paintwear < S.paintwear 
+                                                                    AND T.defindex = S.defindex 
+                                                                    AND T.paintindex = S.paintindex 
+                                                                    AND T.stattrak = S.stattrak 
+                                                                    AND T.souvenir = S.souvenir 
+                                                             ORDER  BY T.paintwear 
+                                                             LIMIT  1000) as a) AS low_rank,
+                                                     (SELECT Count(*)+1 
+                                                     FROM   (SELECT * 
+                                                             FROM   items J 
+                                                             WHERE  J.paintwear > S.paintwear 
+                                                                    AND J.defindex = S.defindex 
+                                                                    AND J.paintindex = S.paintindex 
+                                                                    AND J.stattrak = S.stattrak 
+                                                                    AND J.souvenir = S.souvenir 
+                                                             ORDER  BY J.paintwear DESC
+                                                             LIMIT  1000) as b) AS high_rank 
+                                             FROM   items S
+                                             WHERE  a=$1`,
             [id]).then((res) => {
                 if (res.rows.length > 0) {
                     const item = res.rows[0];
@@ -484,11 +718,148 @@ class Postgres {
                     }
 
                     return result;
-                } else {
-                    return {};
                 }
             });
     }
+
+    async getRankedItems(options) {
+        const conditions = [];
+        const values = [];
+
+        for (const column of ['defindex', 'paintindex', 'stattrak', 'souvenir']) {
+            if (options[column] !== undefined) {
+                values.push(options[column]);
+                conditions.push(`${column} = $${values.length}`);
+            }
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const direction = options.order === 'high' ? 'DESC' : 'ASC';
+
+        values.push(options.limit, options.offset);
+
+        // Ranked within the skin and type like low_rank and high_rank, ties share their rank
+        const result = await this.query('getRankedItems', `SELECT *, rank() OVER (
+                                                               PARTITION BY defindex, paintindex, stattrak, souvenir
+                                                               ORDER BY paintwear ${direction}) AS rank
+                                                           FROM items ${where}
+                                                           ORDER BY paintwear ${direction}, a
+                                                           LIMIT $${values.length - 1} OFFSET $${values.length}`, values);
+
+        return result.rows.map((row) => Object.assign(Postgres.decodeRow(row), {rank: parseInt(row.rank)}));
+    }
+
+    async searchItems(query) {
+        const conditions = [];
+        const values = [];
+
+        const bind = (value) => {
+            values.push(value);
+            return `$${values.length}`;
+        };
+
+        for (const column of ['defindex', 'paintindex', 'stattrak', 'souvenir']) {
+            if (query[column] !== undefined) {
+                conditions.push(`${column} = ${bind(query[column])}`);
+            }
+        }
+
+        if (query.paintseeds) {
+            conditions.push(`paintseed = ANY(${bind(query.paintseeds)}::smallint[])`);
+        }
+
+        // Positive floats sort the same as their int32 representation
+        if (query.float_min !== undefined) {
+            conditions.push(`paintwear >= ${bind(Postgres.floatToPaintwear(query.float_min))}`);
+        }
+
+        if (query.float_max !== undefined) {
+            conditions.push(`paintwear < ${bind(Postgres.floatToPaintwear(query.float_max))}`);
+        }
+
+        // Containment uses the i_stickers GIN index
+        if (query.stickers) {
+            conditions.push(`stickers @> ${bind(JSON.stringify(query.stickers.map((i) => ({i}))))}::jsonb`);
+        }
+
+        if (query.keychains) {
+            conditions.push(`keychains @> ${bind(JSON.stringify(query.keychains.map((i) => ({i}))))}::jsonb`);
+        }
+
+        if (query.cursor) {
+            conditions.push(`(paintwear, a) > (${bind(query.cursor.paintwear)}, ${bind(query.cursor.a)}::bigint)`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await this.query('searchItems', `SELECT * FROM items ${where} ORDER BY paintwear, a LIMIT ${bind(query.limit)}`,
+            values);
+
+        return Postgres.decodeSearchResults(result.rows, query.limit);
+    }
+
+    async getItemHistory(options) {
+        let current;
+
+        if (options.floatid) {
+            const res = await this.query('getItemHistory',
+                'SELECT floatid, a, ms, updated, price FROM items WHERE floatid = $1',
+                [utils.unsigned64ToSigned(options.floatid).toString()]);
+            current = res.rows[0];
+        } else {
+            const a = utils.unsigned64ToSigned(options.a).toString();
+            let res = await this.query('getItemHistory',
+                'SELECT floatid, a, ms, updated, price FROM items WHERE a = $1', [a]);
+
+            if (res.rows.length === 0) {
+                // Might be a previous asset id of the item
+                res = await this.query('getItemHistory', `SELECT i.floatid, i.a, i.ms, i.updated, i.price FROM history h
+                                                          JOIN items i ON i.floatid = h.floatid WHERE h.a = $1 LIMIT 1`, [a]);
+            }
+
+            current = res.rows[0];
+        }
+
+        if (!current) {
+            return null;
+        }
+
+        const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+
+        const [entries, count] = await Promise.all([
+            this.query('getItemHistory', `SELECT a, steamid, created_at, price FROM history WHERE floatid = $1
+                                          ORDER BY created_at ${direction}, a ${direction} LIMIT $2 OFFSET $3`,
+            [current.floatid, options.limit, options.offset]),
+            this.query('getItemHistory', 'SELECT COUNT(*) AS total FROM history WHERE floatid = $1', [current.floatid]),
+        ]);
+
+        return Postgres.decodeHistory(current, parseInt(count.rows[0].total),
+            entries.rows.map((e) => ({a: e.a, ms: e.steamid, updated: e.created_at, price: e.price})));
+    }
+
+    async getApiKeys() {
+        const result = await this.query('getApiKeys', 'SELECT * FROM api_keys WHERE enabled');
+
+        return result.rows.map((row) => ({
+            key: row.key,
+            name: row.name,
+            permissions: row.permissions,
+            rate_limit: {window_ms: row.rate_limit_window_ms, max: row.rate_limit_max},
+            daily_quota: row.daily_quota,
+            max_bulk_size: row.max_bulk_size,
+            max_simultaneous_requests: row.max_simultaneous_requests === null ? undefined : row.max_simultaneous_requests,
+            webhook_secret: row.webhook_secret,
+        }));
+    }
+
+    getCacheStats() {
+        if (!this.itemCache) return;
+
+        return {
+            items: this.itemCache.getStats(),
+            ranks: this.rankCache.getStats(),
+        };
+    }
 }
 
 module.exports = Postgres;
@@ -57,7 +57,7 @@ class ProxyGroup {
 
     getAvailableBot() {
         for (const bot of this.bots) {
-            if (!bot.busy && bot.ready) {
+            if (!bot.busy && bot.inService) {
                 return bot;
             }
         }
@@ -85,7 +85,7 @@ class ProxyGroup {
             activeRequests: this.activeRequests,
             totalRequests: this.totalRequests,
             failures: this.failures,
-            available: this.bots.filter(b => !b.busy && b.ready).length
+            available: this.bots.filter(b => !b.busy && b.inService).length
         };
     }
 }
@@ -94,12 +94,23 @@ class ProxyPoolManager extends EventEmitter {
     constructor(proxiesFile, maxRequestsPerProxy = 3, requestCooldown = 100, retryConfig = {}) {
         super();
         this.proxiesFile = proxiesFile;
-        this.maxRequestsPerProxy = maxRequestsPerProxy;
-        this.requestCooldown = requestCooldown;
         this.proxyGroups = [];
         this.botToGroupMap = new Map();
         this.currentRoundRobinIndex = 0;
+
+        this.setLimits(maxRequestsPerProxy, requestCooldown, retryConfig);
         
+        this.botRetryCount = new Map();
+        this.failedProxies = new Set();
+        
+        this.loadProxies();
+    }
+
+    // Can be called again to change the limits while running
+    setLimits(maxRequestsPerProxy, requestCooldown, retryConfig = {}) {
+        this.maxRequestsPerProxy = maxRequestsPerProxy;
+        this.requestCooldown = requestCooldown;
+
         // Retry configuration
         this.retryConfig = {
             enabled: retryConfig.retry_on_login_failure !== false,
@@ -107,11 +118,6 @@ class ProxyPoolManager extends EventEmitter {
             excludeFailed: retryConfig.exclude_failed_proxies !== false,
             retryDelay: retryConfig.login_retry_delay || 5000
         };
-        
-        this.botRetryCount = new Map();
-        this.failedProxies = new Set();
-        
-        this.loadProxies();
     }
 
     loadProxies() {
@@ -246,7 +252,7 @@ class ProxyPoolManager extends EventEmitter {
     getReadyBotCount() {
         let count = 0;
         for (const group of this.proxyGroups) {
-            count += group.bots.filter(b => b.ready).length;
+            count += group.bots.filter(b => b.inService).length;
         }
         return count;
     }
@@ -276,7 +282,7 @@ class ProxyPoolManager extends EventEmitter {
     canAcceptMoreRequests() {
         return this.proxyGroups.some(group => 
             group.canAcceptRequest(this.maxRequestsPerProxy, this.requestCooldown) &&
-            group.bots.some(b => !b.busy && b.ready)
+            group.bots.some(b => !b.busy && b.inService)
         );
     }
 
@@ -418,6 +424,17 @@ class ProxyPoolManager extends EventEmitter {
         };
     }
 
+    // Remove a bot that was logged off for good
+    removeBot(bot) {
+        const group = this.botToGroupMap.get(bot);
+        if (group) {
+            group.removeBot(bot);
+        }
+
+        this.botToGroupMap.delete(bot);
+        this.botRetryCount.delete(bot);
+    }
+
     // Record successful login
     handleLoginSuccess(bot) {
         const group = this.botToGroupMap.get(bot);
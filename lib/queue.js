@@ -1,17 +1,85 @@
 const EventEmitter = require('events').EventEmitter;
 const errors = require('../errors');
 
+// Lanes used when the config doesn't define any
+const DEFAULT_LANES = {
+    interactive: {weight: 10},
+    bulk: {weight: 3},
+    background: {weight: 1},
+};
+
+// Amount of wait time samples to keep per lane for the rolling average
+const WAIT_SAMPLES = 100;
+
+class Lane {
+    constructor(name, weight) {
+        this.name = name;
+        this.weight = Math.max(1, weight || 1);
+        this.items = [];
+
+        // Smooth weighted round robin state
+        this.currentWeight = 0;
+
+        this.processed = 0;
+        this.waitSamples = [];
+    }
+
+    recordWait(ms) {
+        this.processed++;
+        this.waitSamples.push(ms);
+
+        if (this.waitSamples.length > WAIT_SAMPLES) {
+            this.waitSamples.shift();
+        }
+    }
+
+    getStats() {
+        const now = Date.now();
+        const samples = this.waitSamples;
+
+        return {
+            weight: this.weight,
+            depth: this.items.length,
+            processed: this.processed,
+            oldest_wait_ms: this.items.length > 0 ? now - this.items[0].queued : 0,
+            avg_wait_ms: samples.length > 0 ? Math.round(samples.reduce((a, b) => a + b, 0) / samples.length) : 0,
+            max_wait_ms: samples.length > 0 ? Math.max(...samples) : 0,
+        };
+    }
+}
+
 class Queue extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} [lanes] Map of lane name to {weight}, the first lane is the default
+     */
+    constructor(lanes) {
         super();
 
-        this.queue = [];
+        this.lanes = {};
+        for (const [name, opts] of Object.entries(lanes || DEFAULT_LANES)) {
+            this.lanes[name] = new Lane(name, (opts || {}).weight);
+        }
+
+        this.defaultLane = Object.keys(this.lanes)[0];
         this.users = {};
         this.running = false;
+
+        // Queued or processing entries by asset id, so identical lookups share a single GC request
+        this.inflight = new Map();
+        this.dedupHits = 0;
     }
 
     size() {
-        return this.queue.length;
+        let size = 0;
+        for (const lane of Object.values(this.lanes)) {
+            size += lane.items.length;
+        }
+        return size;
+    }
+
+    hasLane(name) {
+        // Own properties only, so names like "constructor" aren't taken for lanes
+        return Object.prototype.hasOwnProperty.call(this.lanes, name);
     }
 
     process(concurrency, controller, handler) {
@@ -23,19 +91,19 @@ class Queue extends EventEmitter {
         this.start();
 
         // Monkey patch to ensure queue processing size is roughly equal to amount of bots ready
-        setInterval(() => {
+        this.concurrencyInterval = setInterval(() => {
             // Update concurrency level based on proxy pool manager if available
             const oldConcurrency = this.concurrency;
-            
+
             if (controller.proxyPoolManager) {
                 // Use proxy pool manager's max concurrency
                 const maxProxyConcurrency = controller.proxyPoolManager.getMaxConcurrency();
-                const readyBots = controller.getReadyAmount();
+                const capacity = controller.getCapacity();
                 // Use the smaller of the two limits
-                this.concurrency = Math.min(maxProxyConcurrency, readyBots);
+                this.concurrency = Math.min(maxProxyConcurrency, capacity);
             } else {
                 // Fallback to original logic
-                this.concurrency = controller.getReadyAmount();
+                this.concurrency = controller.getCapacity();
             }
 
             if (this.concurrency > oldConcurrency) {
@@ -47,24 +115,137 @@ class Queue extends EventEmitter {
         }, 50);
     }
 
-    addJob(job, max_attempts) {
-        if (!(job.ip in this.users)) {
-            this.users[job.ip] = 0;
+    /**
+     * Adds the remaining links of the job to the queue
+     * @param job Job to add
+     * @param max_attempts Amount of attempts for each link
+     * @param {string} [laneName] Lane to place the links in, falls back to the default lane
+     */
+    addJob(job, max_attempts, laneName) {
+        const lane = this.lanes[this.hasLane(laneName) ? laneName : this.defaultLane];
+
+        if (!(job.owner in this.users)) {
+            this.users[job.owner] = 0;
         }
 
         for (const link of job.getRemainingLinks()) {
-            this.queue.push({
+            this.users[job.owner]++;
+
+            const assetId = link.link.getParams().a;
+            const existing = this.inflight.get(assetId);
+
+            if (existing) {
+                // Attach to the pending lookup, every attached link receives its result
+                existing.links.push(link);
+                this.dedupHits++;
+
+                if (!existing.data.price && link.price) {
+                    existing.data.price = link.price;
+                }
+
+                this.promoteEntry(existing, lane);
+                continue;
+            }
+
+            const entry = {
                 data: link,
+                links: [link],
                 max_attempts: max_attempts,
-                attempts: 0,
+                // Links restored by the job journal keep their attempts, but get at least one more
+                attempts: Math.min(link.attempts || 0, max_attempts - 1),
                 ip: job.ip,
-            });
+                lane: lane.name,
+                queued: Date.now(),
+            };
+
+            lane.items.push(entry);
+            this.inflight.set(assetId, entry);
 
-            this.users[job.ip]++;
             this.checkQueue();
         }
     }
 
+    /**
+     * Moves a waiting entry to the lane if it has a higher weight, so a lookup attached to an entry of a lower lane
+     * doesn't wait behind its backlog
+     */
+    promoteEntry(entry, lane) {
+        const current = this.lanes[entry.lane];
+        if (lane.weight <= current.weight) return;
+
+        // Entries being looked up are no longer in their lane
+        const index = current.items.indexOf(entry);
+        if (index === -1) return;
+
+        current.items.splice(index, 1);
+        lane.items.push(entry);
+        entry.lane = lane.name;
+    }
+
+    /**
+     * Removes the entry from the in-flight lookups and frees the queued amount of every attached user
+     */
+    finishEntry(entry) {
+        const assetId = entry.data.link.getParams().a;
+
+        // Cleared entries were already accounted for
+        if (this.inflight.get(assetId) !== entry) return;
+
+        this.inflight.delete(assetId);
+
+        for (const link of entry.links) {
+            this.users[link.job.owner]--;
+        }
+    }
+
+    /**
+     * Detaches the links of the job from their entries and frees its queued amount. Entries no other job waits on are
+     * dropped unless a bot is looking them up, their result then reaches nobody
+     */
+    removeJob(job) {
+        for (const [assetId, entry] of this.inflight) {
+            const links = entry.links.filter((link) => link.job !== job);
+            if (links.length === entry.links.length) continue;
+
+            this.users[job.owner] -= entry.links.length - links.length;
+            entry.links = links;
+
+            const lane = this.lanes[entry.lane];
+            const index = lane.items.indexOf(entry);
+
+            if (links.length === 0 && index !== -1) {
+                lane.items.splice(index, 1);
+                this.inflight.delete(assetId);
+            }
+        }
+    }
+
+    /**
+     * Picks the lane to dequeue from using smooth weighted round robin over non-empty lanes,
+     * so every lane gets a share of the bots proportional to its weight
+     */
+    nextLane() {
+        let total = 0;
+        let best = null;
+
+        for (const lane of Object.values(this.lanes)) {
+            if (lane.items.length === 0) continue;
+
+            lane.currentWeight += lane.weight;
+            total += lane.weight;
+
+            if (!best || lane.currentWeight > best.currentWeight) {
+                best = lane;
+            }
+        }
+
+        if (best) {
+            best.currentWeight -= total;
+        }
+
+        return best;
+    }
+
     checkQueue() {
         if (!this.running) return;
 
@@ -76,9 +257,16 @@ class Queue extends EventEmitter {
             }
         }
 
-        if (this.queue.length > 0 && this.processing < this.concurrency) {
+        if (this.size() > 0 && this.processing < this.concurrency) {
             // there is a free bot, process the job
-            let job = this.queue.shift();
+            const lane = this.nextLane();
+            let job = lane.items.shift();
+
+            if (!job.started) {
+                job.started = Date.now();
+                lane.recordWait(job.started - job.queued);
+                this.emit('job started', job, job.started - job.queued);
+            }
 
             this.processing += 1;
 
@@ -86,7 +274,7 @@ class Queue extends EventEmitter {
                 if (!delay) delay = 0;
 
                 // Allow users to request again before the promise resolve delay
-                this.users[job.ip]--;
+                this.finishEntry(job);
 
                 return new Promise((resolve, reject) => {
                     setTimeout(() => {
@@ -100,12 +288,21 @@ class Queue extends EventEmitter {
 
                 if (job.attempts === job.max_attempts) {
                     // job failed
+                    this.finishEntry(job);
                     this.emit('job failed', job, err);
-                    this.users[job.ip]--;
                 }
                 else {
+                    if (err !== errors.NoBotsAvailable) {
+                        this.emit('job retry', job, err);
+                    }
+
                     // try again
-                    this.queue.unshift(job);
+                    this.lanes[job.lane].items.unshift(job);
+                }
+
+                if (err === errors.NoBotsAvailable) {
+                    // Give a bot time to free up instead of retrying in a tight loop
+                    return new Promise((resolve) => setTimeout(resolve, 50));
                 }
             }).then(() => {
                 this.processing -= 1;
@@ -126,10 +323,62 @@ class Queue extends EventEmitter {
     }
 
     /**
-     * Returns number of requests the ip currently has queued
+     * Pauses the queue and stops updating the concurrency level, the interval would otherwise keep the process alive
+     * after a shutdown or a test
+     */
+    stop() {
+        this.pause();
+        clearInterval(this.concurrencyInterval);
+    }
+
+    /**
+     * Resolves true once every queued and processing entry is done, or false if the timeout (ms) passes first
      */
-    getUserQueuedAmt(ip) {
-        return this.users[ip] || 0;
+    async drain(timeout) {
+        const deadline = Date.now() + timeout;
+
+        while (this.inflight.size > 0) {
+            if (Date.now() >= deadline) return false;
+
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+
+        return true;
+    }
+
+    /**
+     * Removes every queued and processing entry and returns them, the results of processing ones are still
+     * passed to the handler but no longer counted
+     */
+    clear() {
+        const entries = [...this.inflight.values()];
+
+        for (const lane of Object.values(this.lanes)) {
+            lane.items = [];
+        }
+
+        this.inflight.clear();
+        this.users = {};
+
+        return entries;
+    }
+
+    /**
+     * Returns number of requests the owner (API key or IP) of a job currently has queued
+     */
+    getUserQueuedAmt(owner) {
+        return this.users[owner] || 0;
+    }
+
+    /**
+     * Returns the depth and wait time figures of each lane
+     */
+    getLaneStats() {
+        const stats = {};
+        for (const [name, lane] of Object.entries(this.lanes)) {
+            stats[name] = lane.getStats();
+        }
+        return stats;
     }
 }
 
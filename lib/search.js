@@ -0,0 +1,101 @@
+/* global BigInt */
+
+// Maximum amount of items returned per page
+const MAX_LIMIT = 100;
+
+// Filters that must be integers, paintseed may also be a list of integers
+const INTEGER_FILTERS = ['defindex', 'paintindex'];
+const BOOLEAN_FILTERS = ['stattrak', 'souvenir'];
+const ID_LIST_FILTERS = ['stickers', 'keychains'];
+
+// Largest value of each integer filter, defindex, paintindex and paintseed are smallint columns and sticker and
+// keychain ids are uint32 in the protobuf
+const MAX_VALUES = {
+    defindex: 32767,
+    paintindex: 32767,
+    paintseed: 32767,
+    stickers: 4294967295,
+    keychains: 4294967295,
+};
+
+// The cursor holds a paintwear (integer column) and a signed asset id (bigint column)
+const MIN_PAINTWEAR = -2147483648;
+const MAX_PAINTWEAR = 2147483647;
+const MIN_SIGNED_ID = -(2n ** 63n);
+const MAX_SIGNED_ID = 2n ** 63n - 1n;
+
+function isUnsignedInt(val, max = Number.MAX_SAFE_INTEGER) {
+    return Number.isInteger(val) && val >= 0 && val <= max;
+}
+
+/*
+    Cursors encode the sort position (paintwear, signed asset id) of the last item of a page
+ */
+exports.encodeCursor = function (paintwear, a) {
+    return Buffer.from(JSON.stringify([paintwear, a.toString()])).toString('base64');
+};
+
+exports.decodeCursor = function (cursor) {
+    try {
+        const [paintwear, a] = JSON.parse(Buffer.from(cursor, 'base64').toString());
+        if (Number.isInteger(paintwear) && paintwear >= MIN_PAINTWEAR && paintwear <= MAX_PAINTWEAR &&
+            /^-?\d+$/.test(a) && BigInt(a) >= MIN_SIGNED_ID && BigInt(a) <= MAX_SIGNED_ID) {
+            return {paintwear, a};
+        }
+    } catch (e) {
+        // Invalid cursor
+    }
+};
+
+/*
+    Validates the body of a search request and converts it into the query passed to Storage.searchItems
+
+    float_min is inclusive and float_max is exclusive. Returns undefined if the body is invalid.
+ */
+exports.parseSearchQuery = function (body) {
+    if (!body || typeof body !== 'object') return;
+
+    const filters = body.filters || {};
+    if (typeof filters !== 'object' || Array.isArray(filters)) return;
+
+    const query = {
+        limit: body.limit === undefined ? 20 : body.limit,
+    };
+
+    if (!isUnsignedInt(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) return;
+
+    for (const key of Object.keys(filters)) {
+        const value = filters[key];
+
+        if (INTEGER_FILTERS.includes(key)) {
+            if (!isUnsignedInt(value, MAX_VALUES[key])) return;
+            query[key] = value;
+        } else if (BOOLEAN_FILTERS.includes(key)) {
+            if (typeof value !== 'boolean') return;
+            query[key] = value;
+        } else if (key === 'paintseed') {
+            const seeds = Array.isArray(value) ? value : [value];
+            if (seeds.length === 0 || !seeds.every((seed) => isUnsignedInt(seed, MAX_VALUES.paintseed))) return;
+            query.paintseeds = seeds;
+        } else if (ID_LIST_FILTERS.includes(key)) {
+            if (!Array.isArray(value) || value.length === 0) return;
+            if (!value.every((id) => isUnsignedInt(id, MAX_VALUES[key]))) return;
+            query[key] = value;
+        } else if (key === 'float_min' || key === 'float_max') {
+            if (typeof value !== 'number' || value < 0 || value > 1) return;
+            query[key] = value;
+        } else {
+            // Unknown filter
+            return;
+        }
+    }
+
+    if (body.cursor !== undefined && body.cursor !== null) {
+        if (typeof body.cursor !== 'string') return;
+
+        query.cursor = exports.decodeCursor(body.cursor);
+        if (!query.cursor) return;
+    }
+
+    return query;
+};
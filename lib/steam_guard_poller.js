@@ -0,0 +1,201 @@
+const EventEmitter = require('events').EventEmitter,
+    ImapClient = require('./imap_client'),
+    winston = global.winston || require('winston');
+
+// Mails received this long before the Steam Guard prompt are still accepted, in case the clocks differ
+const CLOCK_SKEW = 60 * 1000;
+
+// Steam's template puts the code alone on the first line after "...code you need to login to account <username>:",
+// other short uppercase lines of the mail aren't codes
+const CODE_PATTERN = /code you need to log ?in to account ([^\s:]+):\s*^[^\S\n]*([A-Z0-9]{5})[^\S\n]*$/m;
+
+function parseHeaders(head) {
+    const headers = {};
+
+    // Unfold continued header lines first
+    for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    }
+
+    return headers;
+}
+
+function decodeBody(body, encoding) {
+    encoding = (encoding || '').toLowerCase();
+
+    if (encoding === 'base64') {
+        return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString();
+    } else if (encoding === 'quoted-printable') {
+        const bytes = body.replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+        return Buffer.from(bytes, 'latin1').toString();
+    }
+
+    return body;
+}
+
+/**
+ * Returns the text of the mail, the text/plain parts if it has any and the text/html parts without their tags otherwise
+ */
+function getMailText(source) {
+    const parts = {plain: [], html: []};
+
+    (function collect(part) {
+        const separator = part.search(/\r?\n\r?\n/);
+        const headers = parseHeaders(separator === -1 ? part : part.slice(0, separator));
+        const body = separator === -1 ? '' : part.slice(separator).replace(/^\r?\n\r?\n/, '');
+        const type = (headers['content-type'] || 'text/plain').toLowerCase();
+        const boundary = /boundary="?([^";]+)"?/i.exec(headers['content-type'] || '');
+
+        if (type.startsWith('multipart/') && boundary) {
+            const sections = body.split(`--${boundary[1]}`).slice(1);
+
+            for (const section of sections) {
+                // The closing boundary ends with --
+                if (!section.startsWith('--')) collect(section.replace(/^\r?\n/, ''));
+            }
+        } else if (type.startsWith('text/html')) {
+            parts.html.push(decodeBody(body, headers['content-transfer-encoding']));
+        } else if (type.startsWith('text/')) {
+            parts.plain.push(decodeBody(body, headers['content-transfer-encoding']));
+        }
+    })(source);
+
+    if (parts.plain.length > 0) return parts.plain.join('\n');
+
+    return parts.html.join('\n').replace(/<br\s*\/?>|<\/(p|div|td|tr|h\d)>/gi, '\n').replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ');
+}
+
+/*
+    Reads the Steam Guard emails of the bots waiting for a code from an IMAP mailbox and logs them in with it
+
+    Emits 'code' (username) once a code is submitted, and 'timeout' (username, waited ms) when giving up on the mail of
+    a bot, which stays in the pending auth list so its code can still be given through POST /auth
+ */
+class SteamGuardPoller extends EventEmitter {
+    /**
+     * @param {Object} config steam_guard_email config
+     * @param {BotController} controller Controller with the bots waiting for Steam Guard
+     * @param {Function} [createClient] Returns the IMAP client for the config, for testing
+     */
+    constructor(config, controller, createClient = (options) => new ImapClient(options)) {
+        super();
+
+        this.config = config;
+        this.controller = controller;
+        this.createClient = createClient;
+
+        this.seen = new Set();  // UIDs of the mails already read
+        this.handled = new Map();  // Username -> when its prompt was handled, a new prompt gets a new timestamp
+        this.timeout = null;
+    }
+
+    start() {
+        const loop = () => {
+            this.poll()
+                .catch((e) => winston.warn(`Failed to check ${this.config.host} for Steam Guard codes: ${e.message}`))
+                .then(() => {
+                    // Not scheduled again once stopped
+                    if (this.timeout !== false) this.timeout = setTimeout(loop, this.config.poll_interval);
+                });
+        };
+
+        this.timeout = setTimeout(loop, this.config.poll_interval);
+    }
+
+    stop() {
+        clearTimeout(this.timeout);
+        this.timeout = false;
+    }
+
+    // Bots waiting for a code whose prompt wasn't handled yet, with when they started waiting
+    getWaiting() {
+        return [...this.controller.pendingAuthBots]
+            .map(([username, data]) => ({username, since: data.timestamp}))
+            .filter((b) => this.handled.get(b.username) !== b.since);
+    }
+
+    /**
+     * Gives up on the bots that waited longer than the timeout, then reads the new mails if any bot is left waiting
+     */
+    async poll() {
+        let waiting = this.getWaiting();
+
+        for (const bot of waiting) {
+            const waited = Date.now() - bot.since;
+
+            if (waited > this.config.timeout) {
+                winston.error(`Gave up on the Steam Guard email of ${bot.username} after ${waited}ms, provide the ` +
+                    'code through POST /auth');
+
+                this.handled.set(bot.username, bot.since);
+                this.emit('timeout', bot.username, waited);
+            }
+        }
+
+        waiting = waiting.filter((b) => this.handled.get(b.username) !== b.since);
+        if (waiting.length === 0) return;
+
+        const client = this.createClient({
+            host: this.config.host,
+            port: this.config.port,
+            tls: this.config.tls,
+        });
+
+        try {
+            await client.connect();
+            await client.login(this.config.user, this.config.pass);
+            await client.select(this.config.mailbox);
+
+            // Dates have no time in IMAP searches, start the day before to not miss anything across timezones
+            const since = new Date(Math.min(...waiting.map((b) => b.since)) - 24 * 60 * 60 * 1000);
+            const uids = await client.search(
+                `SINCE ${ImapClient.formatDate(since)} FROM ${ImapClient.quote(this.config.from)}`);
+
+            for (const uid of uids.filter((uid) => !this.seen.has(uid))) {
+                const mail = await client.fetch(uid);
+                this.seen.add(uid);
+
+                if (mail) this.readMail(mail, waiting);
+            }
+
+            await client.logout();
+        } finally {
+            client.close();
+        }
+    }
+
+    // Submits the code of the mail if it is for one of the waiting bots and was sent after its prompt
+    readMail(mail, waiting) {
+        const text = getMailText(mail.source);
+        const match = CODE_PATTERN.exec(text);
+
+        if (!match) return;
+
+        const [, account, code] = match;
+        const bot = waiting.find((b) => b.username.toLowerCase() === account.toLowerCase());
+
+        if (!bot || this.handled.get(bot.username) === bot.since) return;
+
+        // An older mail has the code of a previous login attempt
+        if (mail.date && mail.date.getTime() < bot.since - CLOCK_SKEW) return;
+
+        winston.info(`Found the Steam Guard code of ${bot.username} in mail ${mail.uid}`);
+
+        this.handled.set(bot.username, bot.since);
+
+        if (this.controller.retryBotWithAuthCode(bot.username, code)) {
+            this.emit('code', bot.username);
+        }
+    }
+}
+
+SteamGuardPoller.getMailText = getMailText;
+
+module.exports = SteamGuardPoller;
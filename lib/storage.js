@@ -0,0 +1,117 @@
+const winston = global.winston || require('winston'),
+    EventEmitter = require('events').EventEmitter;
+
+/*
+    Interface of the backends that store inspected items
+
+    Item info passed in and returned is in the format of the API reply, asset ids are unsigned 64 bit strings
+    Backends that run queries emit 'query' with (operation, duration in ms, error or null) for the metrics
+ */
+class Storage extends EventEmitter {
+    /*
+        Creates the backend chosen by the storage_backend config, defaults to Postgres if a database_url is set
+     */
+    static create(config) {
+        let backend = config.storage_backend;
+
+        if (!backend) {
+            backend = config.database_url ? 'postgres' : 'memory';
+
+            if (backend === 'memory') {
+                winston.warn('No database_url configured, storing items in memory (lost on restart)');
+            }
+        }
+
+        if (backend === 'postgres') {
+            const Postgres = require('./postgres');
+            return new Postgres(config.database_url, config.enable_bulk_inserts, config.cache);
+        } else if (backend === 'memory') {
+            const MemoryStorage = require('./memory_storage');
+            return new MemoryStorage();
+        }
+
+        throw new Error(`Unknown storage backend ${backend}`);
+    }
+
+    /*
+        Connects to the backend and ensures its schema exists
+     */
+    async connect() {}
+
+    /*
+        Writes pending changes and disconnects, called on shutdown
+     */
+    async close() {}
+
+    /*
+        Returns the item info, including low_rank and high_rank, of the stored items for the given InspectURLs
+        Subclasses take (links)
+     */
+    async getItemData() {
+        throw new Error('getItemData is not implemented');
+    }
+
+    /*
+        Stores the inspected item info and the optional market price (in cents)
+        Subclasses take (item, price)
+     */
+    async insertItemData() {
+        throw new Error('insertItemData is not implemented');
+    }
+
+    /*
+        Sets the market price (in cents) of the stored item
+        Subclasses take (assetId, price)
+     */
+    async updateItemPrice() {
+        throw new Error('updateItemPrice is not implemented');
+    }
+
+    /*
+        Returns {low_rank, high_rank} of the stored item, ranks above 1000 are omitted
+        Subclasses take (id)
+     */
+    async getItemRank() {
+        throw new Error('getItemRank is not implemented');
+    }
+
+    /*
+        Returns the lowest (order 'low') or highest (order 'high') float items with their position in rank
+        Subclasses take (options): order, limit, offset and the optional defindex, paintindex, stattrak and souvenir
+        filters
+     */
+    async getRankedItems() {
+        throw new Error('getRankedItems is not implemented');
+    }
+
+    /*
+        Returns a page of items matching the query created by search.parseSearchQuery, sorted by float
+        Resolves {items, next_cursor}, next_cursor is null on the last page. Subclasses take (query)
+     */
+    async searchItems() {
+        throw new Error('searchItems is not implemented');
+    }
+
+    /*
+        Returns the ownership history of an item found by its current or a previous asset id (a) or its floatid
+        Subclasses take (options): a or floatid, order ('asc' or 'desc' by timestamp), limit and offset
+        Resolves {floatid, current, total, history}, or null if the item is unknown
+     */
+    async getItemHistory() {
+        throw new Error('getItemHistory is not implemented');
+    }
+
+    /*
+        Returns the enabled API keys stored by the backend in the format of the api_keys.keys config
+     */
+    async getApiKeys() {
+        return [];
+    }
+
+    /*
+        Returns the hit rates of the backend's cache if it has one
+     */
+    getCacheStats() {}
+}
+
+module.exports = Storage;
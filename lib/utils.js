@@ -1,3 +1,5 @@
+/* global BigInt */
+
 const https = require('https'),
     fs = require('fs');
 
@@ -72,6 +74,13 @@ exports.removeNullValues = function (obj) {
     }, {});
 };
 
+/*
+    Checks whether the given string is an unsigned 64 bit integer (ie. an asset id)
+ */
+exports.isUnsigned64 = function (num) {
+    return exports.isOnlyDigits(num) && BigInt(num) <= (1n << 64n) - 1n;
+};
+
 /*
     Converts the given unsigned 64 bit integer into a signed 64 bit integer
  */
@@ -0,0 +1,196 @@
+const http = require('http'),
+    https = require('https'),
+    crypto = require('crypto'),
+    dns = require('dns'),
+    net = require('net'),
+    winston = global.winston || require('winston');
+
+// Loopback, private, link-local (ie. cloud metadata), shared, multicast and reserved ranges, callbacks given by callers
+// aren't delivered there unless allow_private is set
+const PRIVATE_ADDRESSES = new net.BlockList();
+
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function privateAddressError(host) {
+    const err = new Error(`${host} resolves to a private address`);
+    err.permanent = true;
+    return err;
+}
+
+// Delivers JSON payloads to a callback URL, retrying with exponential backoff
+class Webhook {
+    /**
+     * @param {string} url Callback URL to POST to
+     * @param {string} [secret] Secret to sign the payloads with, payloads are unsigned if not given
+     * @param {Object} [options] max_attempts, retry_delay (ms, doubled after each failure), timeout (ms) and
+     *     allow_private (deliver to private addresses)
+     */
+    constructor(url, secret, options = {}) {
+        this.url = new URL(url);
+        this.secret = secret;
+        this.maxAttempts = options.max_attempts || 5;
+        this.retryDelay = options.retry_delay || 1000;
+        this.timeout = options.timeout || 10000;
+        this.allowPrivate = options.allow_private === true;
+
+        // Deliveries queued through send, chained so they arrive in order
+        this.deliveries = Promise.resolve(true);
+    }
+
+    /**
+     * Returns whether the given string is a URL we can deliver to
+     */
+    static isValidUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns whether the IP address is loopback, private, link-local or reserved
+     */
+    static isPrivateAddress(address) {
+        // IPv4 addresses mapped to IPv6 are checked as IPv4
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        if (mapped) address = mapped[1];
+
+        return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Returns whether a caller may give the URL as a callback: a valid URL whose host isn't localhost or a private
+     * address unless allowPrivate is set. Host names are resolved and checked again when delivering.
+     */
+    static isAllowedUrl(url, allowPrivate = false) {
+        if (!Webhook.isValidUrl(url)) return false;
+        if (allowPrivate) return true;
+
+        const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+        if (net.isIP(host)) return !Webhook.isPrivateAddress(host);
+
+        return host !== 'localhost' && !host.endsWith('.localhost');
+    }
+
+    /**
+     * Returns whether a failed delivery may succeed when retried, only network errors, 5xx and 429 replies do
+     * Deliveries to a private address aren't retried
+     */
+    static isRetryable(err) {
+        return !err.permanent && (!err.statusCode || err.statusCode >= 500 || err.statusCode === 429);
+    }
+
+    /**
+     * Returns the hex HMAC-SHA256 of the body using the secret
+     */
+    static sign(body, secret) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    /**
+     * Delivers the payload, resolves with whether it was accepted (2xx) within the max attempts
+     */
+    async deliver(payload) {
+        const body = JSON.stringify(payload);
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                await this._post(body);
+                return true;
+            } catch (e) {
+                winston.warn(`Webhook delivery to ${this.url.host} failed (attempt ${attempt}/${this.maxAttempts}): ${e.message}`);
+
+                if (!Webhook.isRetryable(e)) {
+                    winston.error(`Giving up on webhook delivery to ${this.url.host}, the receiver rejected it`);
+                    return false;
+                }
+            }
+
+            if (attempt < this.maxAttempts) {
+                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        winston.error(`Giving up on webhook delivery to ${this.url.host} after ${this.maxAttempts} attempts`);
+        return false;
+    }
+
+    /**
+     * Delivers the payload once every payload sent before it is delivered or given up on, resolves like deliver
+     */
+    send(payload) {
+        this.deliveries = this.deliveries.then(() => this.deliver(payload));
+        return this.deliveries;
+    }
+
+    _post(body) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+        };
+
+        if (this.secret) {
+            headers['X-Signature'] = 'sha256=' + Webhook.sign(body, this.secret);
+        }
+
+        const client = this.url.protocol === 'https:' ? https : http;
+        const options = {method: 'POST', headers, timeout: this.timeout};
+
+        if (!this.allowPrivate) {
+            const host = this.url.hostname.replace(/^\[|\]$/g, '');
+
+            // IP hosts aren't looked up, host names are checked once resolved so they can't point at a private
+            // address after the URL was accepted
+            if (net.isIP(host) && Webhook.isPrivateAddress(host)) {
+                return Promise.reject(privateAddressError(host));
+            }
+
+            options.lookup = (hostname, lookupOptions, callback) => {
+                dns.lookup(hostname, lookupOptions, (err, address, family) => {
+                    if (err) return callback(err);
+
+                    const addresses = Array.isArray(address) ? address : [{address}];
+
+                    if (addresses.some((a) => Webhook.isPrivateAddress(a.address))) {
+                        return callback(privateAddressError(hostname));
+                    }
+
+                    callback(null, address, family);
+                });
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(this.url, options, (res) => {
+                // Drain the body so the socket is freed
+                res.resume();
+
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve();
+                } else {
+                    const err = new Error(`Received status code ${res.statusCode}`);
+                    err.statusCode = res.statusCode;
+                    reject(err);
+                }
+            });
+
+            req.on('timeout', () => req.destroy(new Error('Request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,92 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    AccountState = require('../lib/account_state');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csgofloat-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return path.join(dir, 'accounts.json');
+}
+
+const CONFIG_LOGINS = [{user: 'a', pass: 'x'}, {user: 'b', pass: 'y'}];
+
+test('starts empty without a file', (t) => {
+    const state = new AccountState(tempFile(t));
+    assert.deepStrictEqual(state.getLogins(CONFIG_LOGINS), CONFIG_LOGINS);
+});
+
+test('persists added, disabled and retired accounts', (t) => {
+    const file = tempFile(t);
+    const state = new AccountState(file);
+
+    state.addLogin({user: 'c', pass: 'z', auth: 'CODE'});
+    state.setDisabled('a', true);
+    state.retire('b', 'banned');
+
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+    const loaded = new AccountState(file);
+
+    assert.deepStrictEqual(loaded.getLogins(CONFIG_LOGINS).map((l) => l.user), ['a', 'c']);
+    assert.ok(loaded.isDisabled('a'));
+    assert.ok(loaded.isRetired('b'));
+    assert.strictEqual(loaded.retired.b.reason, 'banned');
+});
+
+test('configured logins win over added ones', (t) => {
+    const state = new AccountState(tempFile(t));
+
+    state.addLogin({user: 'a', pass: 'old'});
+
+    const logins = state.getLogins(CONFIG_LOGINS);
+    assert.strictEqual(logins.length, 2);
+    assert.strictEqual(logins[0].pass, 'x');
+});
+
+test('adding a retired account brings it back', (t) => {
+    const state = new AccountState(tempFile(t));
+
+    state.retire('b', 'banned');
+    state.setDisabled('a', true);
+    state.setDisabled('a', false);
+    state.addLogin({user: 'b', pass: 'new'});
+
+    assert.ok(!state.isRetired('b'));
+    assert.ok(!state.isDisabled('a'));
+});
+
+test('ignores a corrupt file', (t) => {
+    const file = tempFile(t);
+    fs.writeFileSync(file, '{not json');
+
+    const state = new AccountState(file);
+    assert.deepStrictEqual(state.getLogins(CONFIG_LOGINS), CONFIG_LOGINS);
+});
+
+test('does not take prototype keys for retired accounts', (t) => {
+    const state = new AccountState(tempFile(t));
+
+    assert.ok(!state.isRetired('constructor'));
+    assert.ok(!state.isRetired('toString'));
+    assert.deepStrictEqual(state.getLogins([{user: 'constructor', pass: 'x'}]).map((l) => l.user), ['constructor']);
+});
+
+test('undoes a change that could not be saved', (t) => {
+    const file = tempFile(t);
+    const state = new AccountState(file);
+
+    state.setDisabled('a', true);
+
+    // The state can't be written into a missing directory
+    state.path = path.join(file, 'missing', 'accounts.json');
+
+    assert.throws(() => state.retire('a', 'banned'));
+    assert.throws(() => state.addLogin({user: 'c', pass: 'z'}));
+
+    assert.ok(!state.isRetired('a'));
+    assert.ok(state.isDisabled('a'));
+    assert.deepStrictEqual(state.added, []);
+});
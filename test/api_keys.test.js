@@ -0,0 +1,123 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    ApiKeys = require('../lib/api_keys');
+
+test('loads enabled keys from the config', () => {
+    const keys = new ApiKeys({keys: [
+        {key: 'a', name: 'first', permissions: ['bulk', 'unknown']},
+        {key: 'b', enabled: false},
+        {key: ''},
+        {name: 'no key'},
+    ]});
+
+    assert.strictEqual(keys.size, 1);
+    assert.strictEqual(keys.get('b'), undefined);
+    assert.strictEqual(keys.get(undefined), undefined);
+
+    const key = keys.get('a');
+    assert.deepStrictEqual(key.permissions, ['bulk']);
+    assert.ok(key.can('bulk'));
+    assert.ok(!key.can('admin'));
+});
+
+test('gives keys with the same name their own owner', () => {
+    const keys = new ApiKeys({keys: [{key: 'a', name: 'shared'}, {key: 'b', name: 'shared'}, {key: 'c'}]});
+
+    const owners = ['a', 'b', 'c'].map((k) => keys.get(k).owner);
+    assert.strictEqual(new Set(owners).size, 3);
+    assert.ok(owners.every((owner) => owner.startsWith('key:') && !/key:[abc]$/.test(owner)));
+
+    // Stays the same across reloads, the journal and cluster queue store it
+    assert.strictEqual(new ApiKeys({keys: [{key: 'a', name: 'renamed'}]}).get('a').owner, owners[0]);
+});
+
+test('names unnamed keys without exposing them', () => {
+    const key = new ApiKeys({keys: [{key: 'secret'}]}).get('secret');
+
+    assert.strictEqual(key.name.length, 8);
+    assert.ok(!key.name.includes('secret'));
+});
+
+test('finds keys by owner with their webhook secret', () => {
+    const keys = new ApiKeys({keys: [{key: 'a', webhook_secret: 'hook'}, {key: 'b'}]});
+
+    assert.strictEqual(keys.getByOwner(keys.get('a').owner).webhookSecret, 'hook');
+    assert.strictEqual(keys.getByOwner(keys.get('b').owner).webhookSecret, undefined);
+    assert.strictEqual(keys.getByOwner('127.0.0.1'), undefined);
+});
+
+test('limits requests per window', (t) => {
+    const key = new ApiKeys({keys: [{key: 'a', rate_limit: {window_ms: 1000, max: 2}}]}).get('a');
+
+    let now = 10000;
+    t.mock.method(Date, 'now', () => now);
+
+    assert.ok(key.consumeRequest());
+    assert.ok(key.consumeRequest());
+    assert.ok(!key.consumeRequest());
+
+    now += 1000;
+    assert.ok(key.consumeRequest());
+
+    const usage = key.getUsage();
+    assert.strictEqual(usage.requests, 3);
+    assert.strictEqual(usage.rate_limited, 1);
+});
+
+test('counts links against the daily quota', () => {
+    const key = new ApiKeys({keys: [{key: 'a', daily_quota: 10}]}).get('a');
+
+    assert.ok(key.consumeQuota(6));
+    assert.ok(!key.hasQuota(5));
+    assert.ok(!key.consumeQuota(5));
+    assert.ok(key.consumeQuota(4));
+
+    // A new day resets the quota
+    key.quotaDay = '2000-01-01';
+    assert.ok(key.consumeQuota(10));
+    assert.strictEqual(key.getUsage().links, 20);
+});
+
+test('records usage counted by the cluster', () => {
+    const key = new ApiKeys({keys: [{key: 'a', daily_quota: 10}]}).get('a');
+
+    assert.ok(key.recordRequest(true));
+    assert.ok(!key.recordRequest(false));
+
+    // Other instances used 5 links of the quota
+    key.recordQuota(2, 7);
+    assert.ok(!key.hasQuota(4));
+
+    const usage = key.getUsage();
+    assert.strictEqual(usage.requests, 1);
+    assert.strictEqual(usage.rate_limited, 1);
+    assert.strictEqual(usage.links, 2);
+
+    const reset = ApiKeys.ApiKey.getQuotaReset();
+    assert.ok(reset > 0 && reset <= 24 * 60 * 60 * 1000);
+});
+
+test('reloads database keys and keeps usage counters', async () => {
+    let stored = [{key: 'db', name: 'stored', daily_quota: 5}, {key: 'config', name: 'overridden'}];
+    const storage = {getApiKeys: async () => stored};
+
+    const keys = new ApiKeys({keys: [{key: 'config', name: 'configured'}], database: true}, storage);
+    await keys.reload();
+
+    assert.strictEqual(keys.size, 2);
+    assert.strictEqual(keys.get('config').name, 'configured');
+
+    const key = keys.get('db');
+    key.consumeQuota(3);
+
+    stored = [{key: 'db', name: 'stored', daily_quota: 50}];
+    await keys.reload();
+
+    assert.strictEqual(keys.get('db'), key);
+    assert.strictEqual(key.dailyQuota, 50);
+    assert.strictEqual(key.quotaUsed, 3);
+
+    stored = [];
+    await keys.reload();
+    assert.strictEqual(keys.get('db'), undefined);
+});
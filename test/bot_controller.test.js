@@ -0,0 +1,326 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    BotController = require('../lib/bot_controller'),
+    BotHealth = require('../lib/bot_health'),
+    mockGC = require('../lib/mock_gc');
+
+const SETTINGS = {max_attempts: 1, request_delay: 0, request_ttl: 1000, steam_user: {}};
+
+function createController(t) {
+    const controller = new BotController(mockGC.createClients({login_delay: 1, latency: 1, latency_jitter: 0}));
+
+    t.after(() => {
+        for (const bot of [...controller.bots]) {
+            controller.removeBot(bot);
+        }
+    });
+
+    return controller;
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function waitReady(bot) {
+    return bot.ready ? Promise.resolve() : new Promise((resolve) => bot.once('ready', resolve));
+}
+
+test('disables and enables bots', async (t) => {
+    const controller = createController(t);
+
+    await waitReady(controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS)));
+    await waitReady(controller.addBot({user: 'b', pass: 'x'}, Object.assign({}, SETTINGS)));
+
+    assert.ok(controller.disableBot('a'));
+    assert.ok(!controller.disableBot('a'));
+
+    assert.strictEqual(controller.getReadyAmount(), 1);
+    assert.deepStrictEqual(controller.getAccounts().disabled, ['a']);
+    assert.ok(controller.hasAccount('a'));
+
+    assert.ok(controller.enableBot('a'));
+    assert.ok(!controller.enableBot('a'));
+
+    await waitReady(controller.findBot('a'));
+    assert.strictEqual(controller.getReadyAmount(), 2);
+    assert.deepStrictEqual(controller.getAccounts().disabled, []);
+});
+
+test('relogs bots', async (t) => {
+    const controller = createController(t);
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+
+    await waitReady(bot);
+
+    const unready = new Promise((resolve) => bot.once('unready', resolve));
+    assert.ok(controller.relogBot('a'));
+    assert.ok(!controller.relogBot('missing'));
+
+    await unready;
+    await waitReady(bot);
+    assert.ok(bot.ready);
+});
+
+test('retires accounts and replaces them with spares', async (t) => {
+    const controller = createController(t);
+    controller.spareAccountDelay = 0;
+    controller.setMaxOnlineBots(1);
+    controller.setSpareAccounts([{loginData: {user: 'spare', pass: 'x'}, settings: Object.assign({}, SETTINGS)}]);
+
+    await waitReady(controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS)));
+
+    assert.ok(controller.retireAccount('a', 'banned'));
+    assert.ok(!controller.retireAccount('unknown', 'banned'));
+
+    const accounts = controller.getAccounts();
+    assert.deepStrictEqual(accounts.bots.map((b) => b.username), ['spare']);
+    assert.strictEqual(accounts.failed[0].username, 'a');
+    assert.strictEqual(accounts.failed[0].reason, 'banned');
+});
+
+test('logging off rejects the pending request', async (t) => {
+    const controller = createController(t);
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+
+    await waitReady(bot);
+
+    // The mock never replies without a GC session
+    bot.csgoClient.haveGCSession = false;
+
+    const link = {getParams: () => ({s: '76561198084749846', a: '1', d: '1', m: '0'})};
+    const request = bot.sendFloatRequest(link);
+
+    controller.removeBot(bot);
+    await assert.rejects(request, (err) => err === 'Bot logged off');
+});
+
+test('stopping logs off every bot without using spares', async (t) => {
+    const controller = createController(t);
+    controller.setSpareAccounts([{loginData: {user: 'spare', pass: 'x'}, settings: Object.assign({}, SETTINGS)}]);
+
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+    await waitReady(bot);
+
+    controller.stop();
+
+    assert.ok(!bot.ready);
+    assert.ok(!controller.hasBotOnline());
+    assert.deepStrictEqual(controller.getAccounts().spares, []);
+});
+
+test('does not retry the login of a removed bot', async (t) => {
+    const controller = createController(t);
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+    await waitReady(bot);
+
+    controller.setProxyPoolManager({
+        distributeBots: () => {},
+        removeBot: () => {},
+        handleLoginFailure: () => ({shouldRetry: true, retryCount: 1, retryDelay: 20}),
+    });
+
+    let logins = 0;
+    bot.logIn = () => logins++;
+
+    controller.handleBotLoginFailure(bot, {user: 'a', pass: 'x'}, new Error('Timed out'), 'timeout');
+    assert.ok(bot.loginRetryTimer);
+
+    controller.disableBot('a');
+    await wait(50);
+
+    assert.strictEqual(logins, 0);
+});
+
+test('quarantines failing bots and puts them back on probation', async (t) => {
+    const controller = createController(t);
+    controller.setHealthConfig({enable: true, min_samples: 2, max_quarantined_ratio: 0.5});
+
+    const a = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+    const b = controller.addBot({user: 'b', pass: 'x'}, Object.assign({}, SETTINGS));
+    await Promise.all([waitReady(a), waitReady(b)]);
+
+    a.health.record('timeout', 1000);
+    controller.checkHealth(a);
+    assert.ok(!a.quarantine);
+
+    a.health.record('timeout', 1000);
+    controller.checkHealth(a);
+    assert.strictEqual(a.quarantine.reason, 'success rate 0%');
+    assert.strictEqual(controller.getReadyAmount(), 1);
+    assert.strictEqual(controller.getBotStatus().quarantined, 1);
+
+    await waitReady(a);
+    assert.strictEqual(controller.getFreeBot(), b);
+
+    // Quarantining b as well would leave no bot in service
+    b.health.record('error', 10);
+    b.health.record('error', 10);
+    controller.checkHealth(b);
+    assert.ok(!b.quarantine);
+
+    controller.releaseQuarantine(a);
+    assert.strictEqual(controller.getReadyAmount(), 2);
+    assert.strictEqual(controller.getBotHealth()[0].state, 'probation');
+    assert.strictEqual(a.health.samples.length, 0);
+
+    // Failing the probation doubles the quarantine
+    a.health.record('timeout', 1000);
+    a.health.record('timeout', 1000);
+    controller.checkHealth(a);
+    assert.strictEqual(a.quarantine.until - a.quarantine.since, BotHealth.DEFAULTS.quarantine_time * 2);
+
+    controller.setHealthConfig({enable: false});
+    assert.ok(!a.quarantine);
+});
+
+test('relogs quarantined bots within the relog limits', async (t) => {
+    const controller = createController(t);
+    controller.setHealthConfig({enable: true});
+    controller.setRelogConfig({enable: false, idle_only: true, max_concurrent: 1});
+    t.after(() => controller.setHealthConfig({enable: false}));
+
+    const bots = ['a', 'b', 'c'].map((user) => controller.addBot({user, pass: 'x'}, Object.assign({}, SETTINGS)));
+    const [a, b, c] = bots;
+    await Promise.all(bots.map(waitReady));
+
+    // a waits for its pending request, both wait for the relog of c
+    c.relogStarted = Date.now();
+    a.requests.set('1', {});
+    controller.quarantineBot(a, 'test');
+    controller.quarantineBot(b, 'test');
+
+    await wait(20);
+    assert.ok(!a.relogging && !b.relogging);
+    assert.ok(a.relogTimer && b.relogTimer);
+
+    // Then they relog one at a time
+    const relogging = [];
+    a.on('unready', () => relogging.push(bots.filter((bot) => bot.relogging).length));
+    b.on('unready', () => relogging.push(bots.filter((bot) => bot.relogging).length));
+
+    c.relogStarted = 0;
+    a.requests.clear();
+
+    for (let i = 0; i < 50 && (a.quarantineRelog || b.quarantineRelog); i++) {
+        await wait(100);
+    }
+
+    assert.ok(!a.quarantineRelog && !b.quarantineRelog);
+    assert.deepStrictEqual(relogging, [1, 1]);
+    // Periodic relogs stay disabled
+    assert.ok(!a.relogTimer && !b.relogTimer);
+});
+
+test('adapts the request delay of each bot within its bounds', async (t) => {
+    const controller = createController(t);
+    const adaptive = {enable: true, min_delay: 100, max_delay: 1000, step_down: 50, backoff_factor: 2};
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS, {request_delay: 400}));
+
+    assert.strictEqual(bot.requestDelay, 400);
+    await waitReady(bot);
+
+    bot.settings.adaptive_delay = adaptive;
+    const link = {getParams: () => ({s: '76561198084749846', a: '1', d: '1', m: '0'})};
+    await bot.sendFloatRequest(link);
+    assert.deepStrictEqual(controller.getRequestDelays(), {a: 350});
+
+    bot.adaptDelay(true);
+    bot.adaptDelay(true);
+    assert.strictEqual(bot.requestDelay, 1000);
+
+    for (let i = 0; i < 20; i++) bot.adaptDelay(false);
+    assert.strictEqual(bot.requestDelay, 100);
+
+    bot.settings.adaptive_delay = Object.assign({}, adaptive, {enable: false});
+    assert.strictEqual(bot.requestDelay, 400);
+});
+
+test('pipelines requests and matches the responses by asset id', async (t) => {
+    const controller = createController(t);
+    const settings = Object.assign({}, SETTINGS, {max_concurrent_requests: 3});
+    const bot = controller.addBot({user: 'a', pass: 'x'}, settings);
+
+    await waitReady(bot);
+    assert.strictEqual(controller.getCapacity(), 3);
+
+    // Answer by hand to control the order
+    bot.csgoClient.haveGCSession = false;
+
+    const link = (a) => ({getParams: () => ({s: '76561198084749846', a, d: '1', m: '0'})});
+    const first = bot.sendFloatRequest(link('1'));
+    assert.ok(!bot.busy);
+
+    const second = bot.sendFloatRequest(link('2'));
+    assert.strictEqual(bot.sendFloatRequest(link('2')), second);
+
+    const third = bot.sendFloatRequest(link('3'));
+    assert.ok(bot.busy);
+    assert.strictEqual(controller.getAccounts().bots[0].pending_requests, 3);
+
+    bot.csgoClient.emit('inspectItemInfo', mockGC.generateItem('2'));
+    bot.csgoClient.emit('inspectItemInfo', mockGC.generateItem('4'));
+    bot.csgoClient.emit('inspectItemTimedOut', '3');
+    bot.csgoClient.emit('inspectItemInfo', mockGC.generateItem('1'));
+
+    assert.strictEqual((await second).iteminfo.a, '2');
+    assert.strictEqual((await first).iteminfo.a, '1');
+    await assert.rejects(third, (err) => err === 'GC inspect timeout');
+    assert.strictEqual(bot.requests.size, 0);
+    assert.ok(!bot.busy);
+});
+
+test('staggers periodic relogs', async (t) => {
+    const controller = createController(t);
+    controller.setRelogConfig({interval: 20, jitter: 0, max_concurrent: 1});
+    t.after(() => controller.setRelogConfig({enable: false}));
+
+    const bots = ['a', 'b', 'c'].map((user) => controller.addBot({user, pass: 'x'}, Object.assign({}, SETTINGS)));
+    const relogging = [];
+
+    for (const bot of bots) {
+        bot.on('unready', () => relogging.push(bots.filter((b) => b.relogging).length));
+    }
+
+    await Promise.all(bots.map(waitReady));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    assert.ok(relogging.length >= 3);
+    assert.ok(relogging.every((amount) => amount === 1));
+});
+
+test('relogs only idle bots with idle_only', async (t) => {
+    const controller = createController(t);
+    controller.setRelogConfig({interval: 60000, idle_only: true});
+
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+    await waitReady(bot);
+
+    bot.requests.set('1', {});
+    controller.periodicRelog(bot);
+    assert.ok(!bot.relogging);
+    assert.ok(bot.relogTimer);
+
+    bot.requests.clear();
+    controller.periodicRelog(bot);
+    assert.ok(bot.relogging);
+});
+
+test('bots prompted for an emailed code wait for the Steam Guard poller', async (t) => {
+    const controller = createController(t);
+    const bot = controller.addBot({user: 'a', pass: 'x'}, Object.assign({}, SETTINGS));
+    await waitReady(bot);
+
+    const err = new Error('Steam Guard prompt');
+    err.domain = 'example.com';
+
+    controller.setSteamGuardPoller({});
+    bot.emit('loginFailed', err, 'steamguard');
+
+    assert.deepStrictEqual(controller.getPendingAuthBots().map((b) => [b.username, b.authType]), [['a', 'email']]);
+    assert.ok(controller.retryBotWithAuthCode('a', 'F4K2B'));
+
+    await waitReady(bot);
+    assert.strictEqual(bot.loginData.authCode, 'F4K2B');
+    assert.strictEqual(controller.getPendingAuthBots().length, 0);
+});
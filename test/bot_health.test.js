@@ -0,0 +1,59 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    BotHealth = require('../lib/bot_health');
+
+const CONFIG = Object.assign({}, BotHealth.DEFAULTS, {min_samples: 4});
+
+function record(health, results) {
+    for (const [result, latency] of results) {
+        health.record(result, latency);
+    }
+}
+
+test('computes the rates and the median latency of the successes', () => {
+    const health = new BotHealth();
+
+    assert.strictEqual(health.successRate, 1);
+    assert.strictEqual(health.timeoutRate, 0);
+    assert.strictEqual(health.medianLatency, 0);
+
+    record(health, [['success', 100], ['success', 300], ['timeout', 5000], ['error', 50], ['success', 200]]);
+
+    assert.strictEqual(health.successRate, 0.6);
+    assert.strictEqual(health.timeoutRate, 0.2);
+    assert.strictEqual(health.medianLatency, 200);
+
+    health.record('success', 400);
+    assert.strictEqual(health.medianLatency, 250);
+});
+
+test('only keeps the last window of requests', () => {
+    const health = new BotHealth(3);
+
+    record(health, [['timeout', 1000], ['timeout', 1000], ['success', 10], ['success', 10], ['success', 10]]);
+
+    assert.strictEqual(health.samples.length, 3);
+    assert.strictEqual(health.successRate, 1);
+
+    health.reset();
+    assert.deepStrictEqual(health.getStats(), {samples: 0, success_rate: 1, timeout_rate: 0, median_latency_ms: 0});
+});
+
+test('reports the broken threshold once there are enough samples', () => {
+    const health = new BotHealth();
+
+    record(health, [['timeout', 1000], ['timeout', 1000], ['timeout', 1000]]);
+    assert.strictEqual(health.getProblem(CONFIG), undefined);
+
+    health.record('error', 10);
+    assert.strictEqual(health.getProblem(CONFIG), 'success rate 0%');
+
+    health.reset();
+    record(health, [['success', 10], ['success', 10], ['timeout', 1000], ['timeout', 1000], ['timeout', 1000]]);
+    assert.strictEqual(health.getProblem(Object.assign({}, CONFIG, {min_success_rate: 0})), 'timeout rate 60%');
+
+    health.reset();
+    record(health, [['success', 900], ['success', 1100], ['success', 1000], ['success', 1200]]);
+    assert.strictEqual(health.getProblem(CONFIG), undefined);
+    assert.strictEqual(health.getProblem(Object.assign({}, CONFIG, {max_median_latency: 1000})), 'median latency 1050ms');
+});
@@ -0,0 +1,247 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    Cluster = require('../lib/cluster'),
+    Queue = require('../lib/queue'),
+    Job = require('../lib/job'),
+    InspectURL = require('../lib/inspect_url');
+
+// Stands in for the pg Pool, answers each query with the rows returned by respond(text, values)
+// Queries of the clients it hands out are logged along with its own
+function fakePool(respond) {
+    const queries = [];
+
+    const query = async (text, values) => {
+        queries.push({text, values});
+        const rows = respond(text, values) || [];
+        return {rows, rowCount: rows.length};
+    };
+
+    return {
+        queries,
+        query,
+        connect: async () => ({query, release: () => {}}),
+        end: async () => {},
+    };
+}
+
+function findQuery(cluster, pattern) {
+    return cluster.pool.queries.find((q) => pattern.test(q.text));
+}
+
+function fakeController(ready) {
+    return {getReadyAmount: () => ready, getCapacity: () => ready, hasBotOnline: () => ready > 0, on: () => {}};
+}
+
+function createCluster(t, respond, ready = 0) {
+    const queue = new Queue();
+    const cluster = new Cluster('postgres://localhost/test', {instance_id: 'api-1'}, queue, fakeController(ready));
+
+    cluster.pool = fakePool(respond);
+    t.after(() => queue.stop());
+    return {cluster, queue};
+}
+
+function link(a) {
+    return {s: '76561198084749846', a: a.toString(), d: '7935523998312483177', m: '0'};
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('answers jobs with the results stored by the cluster', async (t) => {
+    const {cluster} = createCluster(t, (text) => {
+        if (text.includes('INSERT INTO cluster_queue')) {
+            return [{id: '1', a: '1'}, {id: '2', a: '2'}];
+        } else if (text.includes('DELETE FROM cluster_queue')) {
+            return [{id: '1', result: {a: '1'}}];
+        }
+    });
+
+    const job = new Job({ip: '127.0.0.1'}, null, true);
+    job.add(new InspectURL(link(1)), 5);
+    job.add(new InspectURL(link(2)));
+
+    await cluster.addJob(job, 2, 'bulk');
+
+    assert.deepStrictEqual(cluster.pool.queries.map((q) => q.text.split(/\s/)[0]),
+        ['BEGIN', 'INSERT', 'COMMIT', 'NOTIFY']);
+
+    const insert = findQuery(cluster, /INSERT INTO cluster_queue/);
+    assert.deepStrictEqual(insert.values.slice(0, 5), ['api-1', '127.0.0.1', '127.0.0.1', 'bulk', 2]);
+    assert.deepStrictEqual(insert.values[5].map((l) => JSON.parse(l)), [link(1), link(2)]);
+    assert.deepStrictEqual(insert.values[6], [5, null]);
+    assert.match(cluster.pool.queries[3].text, /NOTIFY csgofloat_queue/);
+
+    await cluster.collect();
+
+    assert.deepStrictEqual(cluster.pool.queries[4].values, [['1', '2']]);
+    assert.deepStrictEqual(job.responses, {1: {a: '1'}});
+    assert.strictEqual(job.remainingSize(), 1);
+    assert.deepStrictEqual([...cluster.waiting.keys()], ['2']);
+});
+
+test('deletes the rows of a cancelled job', async (t) => {
+    const {cluster} = createCluster(t, (text) => {
+        if (text.includes('INSERT INTO cluster_queue')) {
+            return [{id: '1', a: '1'}];
+        }
+    });
+
+    const job = new Job({ip: '127.0.0.1'}, null, true);
+    job.add(new InspectURL(link(1)));
+
+    await cluster.addJob(job, 2, 'bulk');
+    await cluster.removeJob(job);
+
+    const query = findQuery(cluster, /DELETE FROM cluster_queue WHERE id = ANY/);
+    assert.deepStrictEqual(query.values, [['1']]);
+    assert.strictEqual(cluster.waiting.size, 0);
+});
+
+test('checks the limits and inserts the job in one locked transaction', async (t) => {
+    const {cluster} = createCluster(t, (text) => {
+        if (text.includes('count(*)')) {
+            return [{queued: '3', owner: '2'}];
+        } else if (text.includes('INSERT INTO cluster_queue')) {
+            return [{id: '1', a: '1'}];
+        }
+    });
+
+    const job = new Job({ip: '127.0.0.1'}, null, true);
+    job.add(new InspectURL(link(1)));
+
+    assert.strictEqual(await cluster.addJob(job, 2, 'bulk', {owner: 3, queue: 10}), undefined);
+    assert.deepStrictEqual(cluster.pool.queries.map((q) => q.text.split(/\s/)[0]),
+        ['BEGIN', 'SELECT', 'SELECT', 'INSERT', 'COMMIT', 'NOTIFY']);
+    assert.match(cluster.pool.queries[1].text, /pg_advisory_xact_lock/);
+    assert.deepStrictEqual([...cluster.waiting.keys()], ['1']);
+});
+
+test('rolls back a job exceeding a limit', async (t) => {
+    const {cluster} = createCluster(t, (text) => {
+        if (text.includes('count(*)')) {
+            return [{queued: '9', owner: '3'}];
+        }
+    });
+
+    const job = new Job({ip: '127.0.0.1'}, null, true);
+    job.add(new InspectURL(link(1)));
+
+    assert.strictEqual(await cluster.addJob(job, 2, 'bulk', {owner: 3, queue: 100}), 'owner');
+    assert.strictEqual(await cluster.addJob(job, 2, 'bulk', {owner: 0, queue: 9}), 'queue');
+
+    assert.ok(!findQuery(cluster, /INSERT INTO cluster_queue/));
+    assert.strictEqual(cluster.pool.queries.filter((q) => q.text === 'ROLLBACK').length, 2);
+    assert.strictEqual(cluster.waiting.size, 0);
+});
+
+test('only adds to a counter while it stays within the max', async (t) => {
+    const expires = new Date(Date.now() + 1000);
+    let count = 4;
+
+    const {cluster} = createCluster(t, (text, values) => {
+        if (text.includes('INSERT INTO cluster_counters')) {
+            // Stands in for the WHERE clause of the upsert
+            if (values[2] > 0 && count + values[1] > values[2]) return [];
+
+            count += values[1];
+            return [{count, expires_at: expires}];
+        }
+    });
+
+    assert.deepStrictEqual(await cluster.incrementCounter('rate:a', 1, 5, 1000),
+        {added: true, count: 5, reset: expires});
+    assert.deepStrictEqual(await cluster.incrementCounter('rate:a', 1, 5, 1000),
+        {added: false, count: null, reset: null});
+
+    // An amount over the max is never added
+    assert.strictEqual((await cluster.incrementCounter('rate:a', 6, 5, 1000)).added, false);
+    assert.strictEqual(cluster.pool.queries.length, 2);
+
+    const store = cluster.createRateLimitStore(1000);
+    const hits = await new Promise((resolve, reject) => {
+        store.incr('127.0.0.1', (err, hits) => err ? reject(err) : resolve(hits));
+    });
+
+    assert.strictEqual(hits, 6);
+    assert.deepStrictEqual(cluster.pool.queries[2].values, ['ip:127.0.0.1', 1, 0, 1000]);
+});
+
+test('claims rows for its free bots and stores their results', async (t) => {
+    let claimed = false;
+
+    const {cluster, queue} = createCluster(t, (text, values) => {
+        if (text.includes('FOR UPDATE SKIP LOCKED') && !claimed) {
+            claimed = true;
+            assert.deepStrictEqual(values, ['api-1', 'interactive', null, 2]);
+
+            const row = {owner: 'key', ip: '10.0.0.1', lane: 'interactive', max_attempts: 1};
+
+            return [
+                Object.assign({id: '7', link: link(7), price: null}, row),
+                Object.assign({id: '8', link: link(8), price: 100}, row),
+            ];
+        }
+    }, 2);
+
+    const prices = [];
+
+    queue.process(2, fakeController(2), async (entry) => {
+        prices.push(entry.data.price);
+        entry.data.job.setResponse(entry.data.link.getParams().a, {a: entry.data.link.getParams().a});
+    });
+
+    cluster.running = true;
+    await cluster.claim();
+    await wait(10);
+
+    const stored = cluster.pool.queries.filter((q) => q.text.includes('SET result'));
+    assert.deepStrictEqual(stored.map((q) => q.values), [['7', '{"a":"7"}'], ['8', '{"a":"8"}']]);
+    assert.deepStrictEqual(prices, [undefined, 100]);
+});
+
+test('does not claim without free bots', async (t) => {
+    const {cluster} = createCluster(t, () => assert.fail('nothing should be claimed'), 0);
+
+    cluster.running = true;
+    await cluster.claim();
+
+    assert.strictEqual(cluster.pool.queries.length, 0);
+});
+
+test('spreads claims over the lanes by weight', (t) => {
+    const {cluster} = createCluster(t, () => {});
+
+    assert.deepStrictEqual(Object.fromEntries(cluster.getLaneShares(14)), {interactive: 10, bulk: 3, background: 1});
+
+    // Single slots take turns over time
+    const picks = {};
+    for (let i = 0; i < 14; i++) {
+        for (const [lane, amount] of cluster.getLaneShares(1)) {
+            picks[lane] = (picks[lane] || 0) + amount;
+        }
+    }
+
+    assert.deepStrictEqual(picks, {interactive: 10, bulk: 3, background: 1});
+});
+
+test('sums up the stats of the instances', () => {
+    const heartbeat = new Date('2024-01-01T00:00:00.000Z');
+    const instances = [
+        {id: 'api-1', heartbeat, stats: {bots_online: 10, bots_total: 12, queue_concurrency: 10, processing: 4}},
+        {id: 'api-2', heartbeat, stats: {bots_online: 5, bots_total: 5, queue_concurrency: 5, processing: 5}},
+    ];
+
+    const stats = Cluster.aggregateStats('api-1', instances, {queued: '20', processing: '9'});
+
+    assert.strictEqual(stats.instance_id, 'api-1');
+    assert.strictEqual(stats.bots_online, 15);
+    assert.strictEqual(stats.bots_total, 17);
+    assert.strictEqual(stats.queue_size, 20);
+    assert.strictEqual(stats.processing, 9);
+    assert.deepStrictEqual(stats.instances[1], {
+        id: 'api-2', last_heartbeat: '2024-01-01T00:00:00.000Z', bots_online: 5, bots_total: 5, queue_concurrency: 5,
+        processing: 5, dedup_hits: undefined,
+    });
+});
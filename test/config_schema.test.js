@@ -0,0 +1,115 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    configSchema = require('../lib/config_schema');
+
+function minimalConfig(changes) {
+    return Object.assign({http: {port: 80}, logins: [{user: 'a', pass: 'x'}]}, changes);
+}
+
+test('accepts the example config', () => {
+    const config = structuredClone(require('../config.example'));
+
+    assert.deepStrictEqual(configSchema.check(config), {errors: [], warnings: []});
+});
+
+test('fills in defaults', () => {
+    const config = minimalConfig({bot_settings: {request_delay: 500}});
+
+    assert.deepStrictEqual(configSchema.check(config).errors, []);
+    assert.deepStrictEqual(config.bot_settings, {
+        max_attempts: 1, request_delay: 500, request_ttl: 2000, max_concurrent_requests: 1, steam_user: {},
+        adaptive_delay: {enable: false, min_delay: 500, max_delay: 5000, step_down: 10, backoff_factor: 2},
+    });
+    assert.strictEqual(config.max_simultaneous_requests, 1);
+    assert.deepStrictEqual(config.allowed_origins, []);
+    assert.strictEqual(config.proxy_pool.enabled, false);
+    assert.strictEqual(config.rate_limit.enable, false);
+    assert.strictEqual(config.bot_health.enable, false);
+
+    // Optional settings without a default stay unset
+    assert.strictEqual(config.max_online_bots, undefined);
+    assert.strictEqual(config.queue_lanes, undefined);
+});
+
+test('defaults are not shared between configs', () => {
+    const first = minimalConfig(), second = minimalConfig();
+
+    configSchema.check(first);
+    configSchema.check(second);
+
+    first.allowed_origins.push('http://example.com');
+    assert.deepStrictEqual(second.allowed_origins, []);
+});
+
+test('reports missing and mistyped settings', () => {
+    const {errors} = configSchema.check({
+        http: {},
+        logins: [{user: 'a'}, 'b'],
+        bot_settings: {request_ttl: '2000'},
+        storage_backend: 'mongo',
+        max_queue_size: -5,
+        allowed_regex_origins: ['('],
+        queue_lanes: {bulk: {weight: 0}},
+    });
+
+    assert.deepStrictEqual(errors, [
+        'http.port is required',
+        'logins[0].pass is required',
+        'logins[1] must be an object, got string',
+        'bot_settings.request_ttl must be a number, got string',
+        'allowed_regex_origins[0] is not a valid regular expression (Invalid regular expression: /(/: ' +
+            'Unterminated group)',
+        'storage_backend must be one of "", "postgres", "memory", got "mongo"',
+        'max_queue_size must be at least -1, got -5',
+        'queue_lanes.bulk.weight must be at least 1, got 0',
+    ]);
+});
+
+test('suggests the closest setting for unknown keys', () => {
+    const {errors} = configSchema.check(minimalConfig({
+        max_online_bot: 10,
+        proxy_pool: {fiel: './proxies.txt'},
+        something_else: true,
+    }));
+
+    assert.deepStrictEqual(errors, [
+        'Unknown setting max_online_bot, did you mean max_online_bots?',
+        'Unknown setting something_else',
+        'Unknown setting proxy_pool.fiel, did you mean proxy_pool.file?',
+    ]);
+});
+
+test('warns about deprecated settings', () => {
+    const {errors, warnings} = configSchema.check(minimalConfig({logLevel: 'debug'}));
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, ['logLevel is no longer used, set logging.level instead']);
+});
+
+test('rejects configs that are not objects', () => {
+    assert.deepStrictEqual(configSchema.check([]).errors, ['The config must export an object, got array']);
+});
+
+test('requires a database for cluster mode', () => {
+    assert.deepStrictEqual(configSchema.check(minimalConfig({cluster: {enable: true}})).errors,
+        ['cluster.enable requires a database_url, the instances share their queue through Postgres']);
+
+    const config = minimalConfig({cluster: {enable: true}, database_url: 'postgres://localhost/db'});
+    assert.deepStrictEqual(configSchema.check(config).errors, []);
+});
+
+test('requires the mailbox for steam_guard_email', () => {
+    assert.deepStrictEqual(configSchema.check(minimalConfig({steam_guard_email: {enable: true}})).errors,
+        ['steam_guard_email.enable requires the host and user of the mailbox']);
+
+    const config = minimalConfig({steam_guard_email: {enable: true, host: 'imap.example.com', user: 'bots'}});
+    assert.deepStrictEqual(configSchema.check(config).errors, []);
+    assert.strictEqual(config.steam_guard_email.from, 'noreply@steampowered.com');
+
+    config.steam_guard_email.alert_url = 'ftp://alerts.example.com';
+    assert.deepStrictEqual(configSchema.check(config).errors,
+        ['steam_guard_email.alert_url must be an http or https URL']);
+
+    config.steam_guard_email.alert_url = 'https://alerts.example.com/steam-guard';
+    assert.deepStrictEqual(configSchema.check(config).errors, []);
+});
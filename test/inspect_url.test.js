@@ -0,0 +1,79 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    InspectURL = require('../lib/inspect_url');
+
+const S_LINK = 'steam://rungame/730/76561202255233023/+csgo_econ_action_preview S76561198084749846A698323590D7935523998312483177';
+const M_LINK = 'steam://rungame/730/76561202255233023/+csgo_econ_action_preview M625254122282020305A6760346663D30614827701953021';
+
+test('parses inventory links', () => {
+    const link = new InspectURL(S_LINK);
+
+    assert.ok(link.valid);
+    assert.ok(!link.isMarketLink());
+    assert.deepStrictEqual(link.getParams(), {
+        s: '76561198084749846', a: '698323590', d: '7935523998312483177', m: '0',
+    });
+});
+
+test('parses market links', () => {
+    const link = new InspectURL(M_LINK);
+
+    assert.ok(link.valid);
+    assert.ok(link.isMarketLink());
+    assert.deepStrictEqual(link.getParams(), {
+        s: '0', a: '6760346663', d: '30614827701953021', m: '625254122282020305',
+    });
+});
+
+test('accepts URI encoded links and a space instead of the plus', () => {
+    const encoded = new InspectURL(S_LINK.replace('+', '%20'));
+    assert.strictEqual(encoded.getParams().a, '698323590');
+
+    const spaced = new InspectURL(S_LINK.replace('+', ' '));
+    assert.strictEqual(spaced.getParams().a, '698323590');
+});
+
+test('rejects malformed links', () => {
+    const links = [
+        '',
+        '%E0%A4%A',
+        S_LINK.replace('/730/', '/440/'),
+        S_LINK.replace('A698323590', 'A698323590x'),
+        S_LINK.replace(/D\d+$/, ''),
+        `${S_LINK} `,
+        S_LINK.replace(' S', ' X'),
+    ];
+
+    for (const raw of links) {
+        const link = new InspectURL(raw);
+        assert.ok(!link.valid, raw);
+        assert.strictEqual(link.getParams(), undefined);
+        assert.strictEqual(link.getLink(), undefined);
+    }
+});
+
+test('builds links from params objects', () => {
+    const link = new InspectURL({s: '76561198084749846', a: '698323590', d: '7935523998312483177'});
+
+    assert.ok(link.valid);
+    assert.strictEqual(link.m, '0');
+    assert.strictEqual(link.getLink(), S_LINK);
+
+    // Params that aren't strings default to 0
+    assert.strictEqual(new InspectURL({s: 76561198, a: '1', d: '1'}).s, '0');
+    assert.ok(!new InspectURL({s: '1', a: '1a', d: '1'}).valid);
+});
+
+test('builds links from separate params', () => {
+    const link = new InspectURL('0', '6760346663', '30614827701953021', '625254122282020305');
+
+    assert.ok(link.isMarketLink());
+    assert.strictEqual(link.getLink(), M_LINK);
+
+    assert.ok(!new InspectURL('0', 6760346663, '30614827701953021', '625254122282020305').valid);
+});
+
+test('recreates parsed links', () => {
+    assert.strictEqual(new InspectURL(S_LINK).getLink(), S_LINK);
+    assert.strictEqual(new InspectURL(M_LINK).getLink(), M_LINK);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    Job = require('../lib/job'),
+    InspectURL = require('../lib/inspect_url'),
+    errors = require('../errors');
+
+// Records the status and body sent through an express response
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: undefined,
+        replies: 0,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            this.replies++;
+            return this;
+        },
+    };
+}
+
+function link(a) {
+    return new InspectURL('76561198084749846', a.toString(), '7935523998312483177', '0');
+}
+
+test('replies with the item info of a single link', () => {
+    const res = fakeResponse();
+    const job = new Job({ip: '127.0.0.1'}, res, false);
+
+    job.add(link(1));
+    job.setResponse('1', {a: '1', floatvalue: 0.5});
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, {iteminfo: {a: '1', floatvalue: 0.5}});
+});
+
+test('replies with the status of a single error', () => {
+    const res = fakeResponse();
+    const job = new Job({ip: '127.0.0.1'}, res, false);
+
+    job.add(link(1));
+    job.setResponse('1', errors.TTLExceeded);
+
+    assert.strictEqual(res.statusCode, 500);
+    assert.deepStrictEqual(res.body, errors.TTLExceeded.getJSON());
+});
+
+test('bulk jobs reply with results keyed by asset id once every link is done', () => {
+    const res = fakeResponse();
+    const job = new Job({ip: '127.0.0.1'}, res, true);
+
+    job.add(link(1));
+    job.add(link(2));
+
+    job.setResponse('2', errors.SteamOffline);
+    assert.strictEqual(res.replies, 0);
+
+    job.setResponse(1, {a: '1'});
+
+    assert.strictEqual(res.replies, 1);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, {1: {a: '1'}, 2: errors.SteamOffline.getJSON()});
+});
+
+test('bulk jobs with a single link still reply keyed by asset id', () => {
+    const res = fakeResponse();
+    const job = new Job({ip: '127.0.0.1'}, res, true);
+
+    job.add(link(1));
+    job.setResponse('1', errors.TTLExceeded);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, {1: errors.TTLExceeded.getJSON()});
+});
+
+test('ignores responses for unknown or finished links', () => {
+    const res = fakeResponse();
+    const job = new Job({ip: '127.0.0.1'}, res, false);
+
+    job.add(link(1));
+    job.setResponse('3', {a: '3'});
+    assert.strictEqual(job.remainingSize(), 1);
+
+    job.setResponse('1', {a: '1'});
+    job.setResponse('1', {a: '1', again: true});
+
+    assert.strictEqual(res.replies, 1);
+    assert.deepStrictEqual(res.body, {iteminfo: {a: '1'}});
+});
+
+test('setResponseRemaining answers every remaining link', () => {
+    const res = fakeResponse();
+    const job = new Job({ip: '127.0.0.1'}, res, true);
+
+    for (let i = 1; i <= 3; i++) job.add(link(i));
+
+    job.setResponse('2', {a: '2'});
+    job.setResponseRemaining(errors.GenericBad);
+
+    assert.strictEqual(res.replies, 1);
+    assert.deepStrictEqual(Object.keys(res.body), ['1', '2', '3']);
+    assert.deepStrictEqual(res.body[3], errors.GenericBad.getJSON());
+});
+
+test('asynchronous jobs collect results without replying', () => {
+    const job = new Job({ip: '127.0.0.1'}, null, true);
+    const responses = [];
+
+    job.on('response', (a) => responses.push(a));
+
+    job.add(link(1));
+    job.add(link(2));
+
+    job.setResponse('1', {a: '1'});
+    assert.strictEqual(job.getStatus().status, 'pending');
+
+    job.setResponse('2', {a: '2'});
+
+    const status = job.getStatus();
+    assert.ok(job.isAsync);
+    assert.strictEqual(status.status, 'complete');
+    assert.strictEqual(status.completed, 2);
+    assert.strictEqual(status.remaining, 0);
+    assert.deepStrictEqual(responses, ['1', '2']);
+});
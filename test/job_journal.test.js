@@ -0,0 +1,185 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    JobJournal = require('../lib/job_journal'),
+    Job = require('../lib/job'),
+    InspectURL = require('../lib/inspect_url');
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csgofloat-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return path.join(dir, 'queue_journal.jsonl');
+}
+
+function createJob(assetIds) {
+    const job = new Job({ip: '127.0.0.1'}, null, true);
+    job.lane = 'bulk';
+
+    for (const a of assetIds) {
+        job.add(new InspectURL('76561198084749846', a.toString(), '7935523998312483177', '0'), a === 1 ? 5 : undefined);
+    }
+
+    return job;
+}
+
+// Journals the job and closes the journal like a restart, returns the restored jobs of a new journal
+function restart(journal, file) {
+    journal.close();
+    const restored = new JobJournal(file);
+    const jobs = restored.open();
+    restored.close();
+    return jobs;
+}
+
+test('restores pending links with their attempts and results', (t) => {
+    const file = tempFile(t);
+    const journal = new JobJournal(file);
+    journal.open();
+
+    const job = createJob([1, 2, 3]);
+    journal.track(job, null);
+    job.setResponse('2', {a: '2'});
+
+    const link = job.getRemainingLinks().find((l) => l.link.getParams().a === '3');
+    journal.recordAttempt({links: [link], attempts: 2});
+
+    const [{job: restored, callback}] = restart(journal, file);
+
+    assert.strictEqual(restored.id, job.id);
+    assert.strictEqual(restored.owner, '127.0.0.1');
+    assert.strictEqual(restored.lane, 'bulk');
+    assert.strictEqual(restored.createdAt, job.createdAt);
+    assert.strictEqual(restored.total, 3);
+    assert.deepStrictEqual(restored.responses, {2: {a: '2'}});
+    assert.deepStrictEqual(restored.getRemainingLinks().map((l) => [l.link.getParams().a, l.price, l.attempts]),
+        [['1', 5, undefined], ['3', undefined, 2]]);
+    assert.strictEqual(callback, null);
+
+    // The restored job completes like a new one
+    restored.setResponse('1', {a: '1'});
+    restored.setResponse('3', {a: '3'});
+    assert.ok(restored.isComplete);
+});
+
+test('keeps completed jobs until their results expire', (t) => {
+    const file = tempFile(t);
+    const journal = new JobJournal(file, 60);
+    journal.open();
+
+    const job = createJob([1]);
+    journal.track(job, null);
+    job.setResponse('1', {a: '1'});
+
+    const [{job: restored}] = restart(journal, file);
+    assert.ok(restored.isComplete);
+    assert.strictEqual(restored.completedAt, job.completedAt);
+    assert.deepStrictEqual(restored.getStatus().results, {1: {a: '1'}});
+
+    // Expire it by moving its completion back in the journal
+    const content = fs.readFileSync(file, 'utf8').replace(`"completed_at":${job.completedAt}`, '"completed_at":0');
+    fs.writeFileSync(file, content);
+
+    const expired = new JobJournal(file, 60);
+    assert.deepStrictEqual(expired.open(), []);
+    expired.close();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+});
+
+test('skips a truncated last line', (t) => {
+    const file = tempFile(t);
+    const journal = new JobJournal(file);
+    journal.open();
+
+    const job = createJob([1, 2]);
+    journal.track(job, null);
+    job.setResponse('1', {a: '1'});
+    journal.close();
+
+    fs.appendFileSync(file, '{"op":"result","id":"' + job.id);
+
+    const restored = new JobJournal(file);
+    const [{job: resumed}] = restored.open();
+    restored.close();
+
+    assert.deepStrictEqual(resumed.responses, {1: {a: '1'}});
+    assert.strictEqual(resumed.remainingSize(), 1);
+});
+
+test('restores the undelivered results of a batched callback', (t) => {
+    const file = tempFile(t);
+    const journal = new JobJournal(file);
+    journal.open();
+
+    const job = createJob([1, 2, 3]);
+    journal.track(job, {url: 'http://localhost/callback', batch_size: 2});
+    job.setResponse('1', {a: '1'});
+    job.setResponse('2', {a: '2'});
+    job.emit('callback sent', 0);
+    job.setResponse('3', {a: '3'});
+
+    // Finished jobs keep their callback state, it is only resumed for pending ones
+    const [{job: restored, callback}] = restart(journal, file);
+
+    assert.ok(restored.isComplete);
+    assert.deepStrictEqual(callback, {batches: 1, batch: {3: {a: '3'}}, url: 'http://localhost/callback', batch_size: 2});
+});
+
+test('compacts superseded records', (t) => {
+    const file = tempFile(t);
+    const journal = new JobJournal(file);
+    journal.open();
+
+    const job = createJob([1, 2]);
+    journal.track(job, null);
+
+    const link = job.getRemainingLinks()[1];
+    for (let attempts = 1; attempts < 5; attempts++) {
+        journal.recordAttempt({links: [link], attempts});
+    }
+
+    job.setResponse('1', {a: '1'});
+    assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 6);
+
+    journal.compact();
+    journal.close();
+
+    const records = fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepStrictEqual(records.map((r) => r.op), ['job', 'result', 'attempt']);
+    assert.strictEqual(records[2].attempts, 4);
+});
+
+test('keeps the journal when it cannot be compacted', (t) => {
+    const file = tempFile(t);
+    const journal = new JobJournal(file);
+    journal.open();
+
+    const job = createJob([1, 2]);
+    journal.track(job, null);
+
+    // The temporary file can't be written over a directory
+    fs.mkdirSync(`${file}.tmp`);
+    journal.compactAt = journal.records + 1;
+
+    assert.doesNotThrow(() => job.setResponse('1', {a: '1'}));
+    assert.ok(journal.compactAt > journal.records);
+
+    job.setResponse('2', {a: '2'});
+
+    const records = fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepStrictEqual(records.map((r) => r.op), ['job', 'result', 'result', 'complete']);
+    journal.close();
+});
+
+test('ignores jobs it does not journal', (t) => {
+    const journal = new JobJournal(tempFile(t));
+    journal.open();
+
+    const job = createJob([1]);
+    journal.recordAttempt({links: job.getRemainingLinks(), attempts: 1});
+
+    assert.ok(!journal.isPending(job));
+    assert.strictEqual(job.getRemainingLinks()[0].attempts, undefined);
+    journal.close();
+});
@@ -0,0 +1,85 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    LRUCache = require('../lib/lru_cache');
+
+test('evicts the least recently used entry', () => {
+    const removed = [];
+    const cache = new LRUCache(2, 0, (key, value) => removed.push([key, value]));
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    // Reading a makes b the least recently used
+    assert.strictEqual(cache.get('a'), 1);
+    cache.set('c', 3);
+
+    assert.deepStrictEqual(removed, [['b', 2]]);
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('a'), 1);
+    assert.strictEqual(cache.get('c'), 3);
+    assert.strictEqual(cache.size, 2);
+});
+
+test('setting an existing key refreshes it without evicting', () => {
+    const cache = new LRUCache(2);
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+
+    assert.strictEqual(cache.get('a'), 10);
+    assert.strictEqual(cache.get('b'), undefined);
+});
+
+test('expires entries after the ttl', async () => {
+    const removed = [];
+    const cache = new LRUCache(10, 0.05, (key) => removed.push(key));
+
+    cache.set('a', 1);
+    assert.strictEqual(cache.get('a'), 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 70));
+
+    assert.strictEqual(cache.get('a'), undefined);
+    assert.deepStrictEqual(removed, ['a']);
+    assert.strictEqual(cache.size, 0);
+});
+
+test('keeps entries without a ttl until they are evicted', async () => {
+    const cache = new LRUCache(10, 0);
+
+    cache.set('a', 1);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.strictEqual(cache.get('a'), 1);
+});
+
+test('deletes and clears entries', () => {
+    const removed = [];
+    const cache = new LRUCache(10, 0, (key) => removed.push(key));
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+
+    assert.ok(cache.delete('a'));
+    assert.ok(!cache.delete('a'));
+
+    cache.clear();
+
+    assert.deepStrictEqual(removed, ['a', 'b', 'c']);
+    assert.strictEqual(cache.size, 0);
+    assert.strictEqual(cache.get('b'), undefined);
+});
+
+test('counts hits and misses', () => {
+    const cache = new LRUCache(10);
+
+    cache.set('a', 1);
+    cache.get('a');
+    cache.get('a');
+    cache.get('b');
+
+    assert.deepStrictEqual(cache.getStats(), {size: 1, max_size: 10, hits: 2, misses: 1, hit_rate: 0.6667});
+});
@@ -0,0 +1,129 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    MemoryStorage = require('../lib/memory_storage'),
+    Postgres = require('../lib/postgres'),
+    InspectURL = require('../lib/inspect_url');
+
+function item(overrides) {
+    return Object.assign({
+        s: '76561198084749846', a: '698323590', d: '7935523998312483177', m: '0',
+        defindex: 7, paintindex: 282, paintseed: 361, floatvalue: 0.22740158438682556,
+        rarity: 5, quality: 4, origin: 8, killeatervalue: null, stickers: [], keychains: [],
+    }, overrides);
+}
+
+function link(a) {
+    return new InspectURL('76561198084749846', a, '7935523998312483177', '0');
+}
+
+async function storageWith(items) {
+    const storage = new MemoryStorage();
+
+    for (const i of items) {
+        await storage.insertItemData(i);
+    }
+
+    return storage;
+}
+
+test('returns stored items like a decoded Postgres row', async () => {
+    const source = item({a: '13979935440474284543', stickers: [{slot: 0, stickerId: 76, wear: 0.5}]});
+    const storage = await storageWith([source]);
+
+    const [stored] = await storage.getItemData([link('13979935440474284543'), link('1')]);
+    const expected = Postgres.decodeRow(Object.assign(Postgres.encodeItem(source), {low_rank: 1, high_rank: 1}));
+
+    // The row has the floatid and timestamps of the table, which the API reply doesn't include
+    for (const key of Object.keys(expected)) {
+        assert.deepStrictEqual(stored[key], expected[key], key);
+    }
+
+    assert.strictEqual(stored.a, '13979935440474284543');
+});
+
+test('ranks items among those of the same skin and type', async () => {
+    const storage = await storageWith([
+        item({a: '1', paintseed: 1, floatvalue: 0.1}),
+        item({a: '2', paintseed: 2, floatvalue: 0.2}),
+        item({a: '3', paintseed: 3, floatvalue: 0.3}),
+        // Another skin and a StatTrak of the same skin aren't counted
+        item({a: '4', paintseed: 4, floatvalue: 0.05, paintindex: 1}),
+        item({a: '5', paintseed: 5, floatvalue: 0.05, killeatervalue: 0}),
+    ]);
+
+    assert.deepStrictEqual(await storage.getItemRank('2'), {low_rank: 2, high_rank: 2});
+    assert.deepStrictEqual(await storage.getItemRank('1'), {low_rank: 1, high_rank: 3});
+    assert.deepStrictEqual(await storage.getItemRank('6'), {});
+
+    // An insert shifts the ranks of the others
+    await storage.insertItemData(item({a: '7', paintseed: 7, floatvalue: 0.15}));
+    assert.deepStrictEqual(await storage.getItemRank('2'), {low_rank: 3, high_rank: 2});
+});
+
+test('replaces the asset id of an item and records the previous owner like the history trigger', async () => {
+    const storage = await storageWith([item({a: '100', s: '76561198084749846'})]);
+
+    await storage.updateItemPrice('100', 500);
+    await storage.insertItemData(item({a: '200', s: '76561198000000000'}));
+
+    assert.deepStrictEqual(await storage.getItemData([link('100')]), []);
+
+    const [current] = await storage.getItemData([link('200')]);
+    assert.strictEqual(current.s, '76561198000000000');
+
+    const history = await storage.getItemHistory({a: '100', order: 'asc', offset: 0, limit: 10});
+    assert.strictEqual(history.floatid, '100');
+    assert.strictEqual(history.current.a, '200');
+    assert.strictEqual(history.total, 1);
+    assert.deepStrictEqual(history.history.map((e) => [e.a, e.s, e.price]), [['100', '76561198084749846', 500]]);
+
+    // An older asset id only extends the history
+    await storage.insertItemData(item({a: '50'}));
+
+    assert.deepStrictEqual((await storage.getItemData([link('200')])).map((i) => i.a), ['200']);
+    assert.strictEqual((await storage.getItemHistory({floatid: '100', order: 'asc', offset: 0, limit: 10})).total, 2);
+});
+
+test('does not record history for a new asset id of the same owner without a price', async () => {
+    const storage = await storageWith([item({a: '100'}), item({a: '200'})]);
+
+    const history = await storage.getItemHistory({a: '200', order: 'asc', offset: 0, limit: 10});
+    assert.strictEqual(history.total, 0);
+});
+
+test('orders ranked items by float with filters and offset, ranked within their skin', async () => {
+    const storage = await storageWith([
+        item({a: '1', paintseed: 1, floatvalue: 0.3}),
+        item({a: '2', paintseed: 2, floatvalue: 0.1}),
+        item({a: '3', paintseed: 3, floatvalue: 0.2}),
+        item({a: '4', paintseed: 4, floatvalue: 0.01, paintindex: 1}),
+    ]);
+
+    const low = await storage.getRankedItems({order: 'low', paintindex: 282, offset: 0, limit: 2});
+    assert.deepStrictEqual(low.map((i) => [i.a, i.rank]), [['2', 1], ['3', 2]]);
+
+    const high = await storage.getRankedItems({order: 'high', offset: 1, limit: 10});
+    assert.deepStrictEqual(high.map((i) => [i.a, i.rank]), [['3', 2], ['2', 3], ['4', 1]]);
+    assert.strictEqual(high[2].rank, (await storage.getItemRank('4')).high_rank);
+});
+
+test('pages search results with a cursor', async () => {
+    const storage = await storageWith([
+        item({a: '1', paintseed: 1, floatvalue: 0.3}),
+        item({a: '2', paintseed: 2, floatvalue: 0.1}),
+        item({a: '3', paintseed: 3, floatvalue: 0.2, stickers: [{slot: 0, stickerId: 76}]}),
+    ]);
+
+    const first = await storage.searchItems({defindex: 7, limit: 2});
+    assert.deepStrictEqual(first.items.map((i) => i.a), ['2', '3']);
+    assert.ok(first.next_cursor);
+
+    const last = first.items[1];
+    const cursor = {paintwear: Postgres.floatToPaintwear(last.floatvalue), a: last.a};
+    const second = await storage.searchItems({defindex: 7, limit: 2, cursor});
+    assert.deepStrictEqual(second.items.map((i) => i.a), ['1']);
+    assert.strictEqual(second.next_cursor, null);
+
+    const withSticker = await storage.searchItems({stickers: [76], float_max: 0.25, limit: 10});
+    assert.deepStrictEqual(withSticker.items.map((i) => i.a), ['3']);
+});
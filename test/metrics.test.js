@@ -0,0 +1,56 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    EventEmitter = require('events').EventEmitter,
+    Metrics = require('../lib/metrics'),
+    Postgres = require('../lib/postgres'),
+    Queue = require('../lib/queue');
+
+test('exports the queue depth of each lane', async () => {
+    const metrics = new Metrics();
+    const queue = new Queue({interactive: {weight: 2}, bulk: {weight: 1}});
+
+    queue.lanes.bulk.items.push({}, {});
+    metrics.observeQueue(queue);
+
+    const text = await metrics.metrics();
+    assert.match(text, /^csgofloat_queue_depth{lane="interactive"} 0$/m);
+    assert.match(text, /^csgofloat_queue_depth{lane="bulk"} 2$/m);
+});
+
+test('exports bot states and GC latency', async () => {
+    const metrics = new Metrics();
+    const controller = new EventEmitter();
+    controller.getBotStatus = () => ({online: 3, busy: 1, total: 4, target: 4, failed: 1, spares: 0, pendingAuth: 0});
+
+    metrics.observeBots(controller);
+    controller.emit('inspected', {username: 'bot1'}, 300, 'success');
+    controller.emit('inspected', {username: 'bot1'}, 20000, 'timeout');
+
+    const text = await metrics.metrics();
+    assert.match(text, /^csgofloat_bots{state="ready"} 3$/m);
+    assert.match(text, /^csgofloat_bots{state="failed"} 1$/m);
+    assert.match(text, /^csgofloat_gc_inspect_duration_seconds_count{bot="bot1",result="success"} 1$/m);
+    assert.match(text, /^csgofloat_gc_inspect_duration_seconds_sum{bot="bot1",result="timeout"} 20$/m);
+});
+
+test('times Postgres queries by operation', async () => {
+    const metrics = new Metrics();
+    const postgres = new Postgres('postgres://localhost/test');
+
+    // Replace the pool so no connection is made
+    postgres.pool = {
+        query: async (text) => {
+            if (text === 'fail') throw new Error('failed');
+            return {rows: []};
+        },
+    };
+
+    metrics.observeStorage(postgres);
+
+    await postgres.query('getItemData', 'SELECT 1');
+    await assert.rejects(postgres.query('getItemData', 'fail'));
+
+    const text = await metrics.metrics();
+    assert.match(text, /^csgofloat_db_query_duration_seconds_count{operation="getItemData",result="success"} 1$/m);
+    assert.match(text, /^csgofloat_db_query_duration_seconds_count{operation="getItemData",result="error"} 1$/m);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    Postgres = require('../lib/postgres');
+
+function item(overrides) {
+    return Object.assign({
+        s: '76561198084749846', a: '698323590', d: '7935523998312483177', m: '0',
+        defindex: 7, paintindex: 282, paintseed: 361, floatvalue: 0.22740158438682556,
+        rarity: 5, quality: 4, origin: 8, killeatervalue: null, stickers: [], keychains: [],
+    }, overrides);
+}
+
+test('storeProperties packs origin, quality and rarity into separate bytes', () => {
+    assert.strictEqual(Postgres.storeProperties(8, 4, 5), 0x050408);
+    assert.strictEqual(Postgres.storeProperties(0, 0, 0), 0);
+    assert.strictEqual(Postgres.storeProperties(255, 255, 255), 0xffffff);
+});
+
+test('extractProperties reverses storeProperties', () => {
+    for (const [origin, quality, rarity] of [[8, 4, 5], [0, 12, 6], [255, 255, 255], [23, 0, 1]]) {
+        const props = Postgres.storeProperties(origin, quality, rarity);
+        assert.deepStrictEqual(Postgres.extractProperties(props), {origin, quality, rarity});
+    }
+});
+
+test('floatToPaintwear stores the bits of the float32', () => {
+    assert.strictEqual(Postgres.floatToPaintwear(0), 0);
+    assert.strictEqual(Postgres.floatToPaintwear(0.5), 0x3f000000);
+    assert.strictEqual(Postgres.floatToPaintwear(1), 0x3f800000);
+});
+
+test('paintwear keeps the float order and round trips float32 values', () => {
+    const floats = [0, 1e-7, 0.00001, 0.07, 0.15, 0.22740158438682556, 0.38, 0.45, 0.99999994, 1];
+    const paintwears = floats.map(Postgres.floatToPaintwear);
+
+    for (let i = 1; i < paintwears.length; i++) {
+        assert.ok(paintwears[i] > paintwears[i - 1], `${floats[i]} sorts after ${floats[i - 1]}`);
+    }
+
+    for (const float of floats) {
+        const paintwear = Postgres.floatToPaintwear(float);
+        assert.strictEqual(Postgres.paintwearToFloat(paintwear), Math.fround(float));
+    }
+});
+
+test('encodeItem converts asset ids to signed 64 bit strings', () => {
+    const row = Postgres.encodeItem(item({a: '18446744073709551615', d: '9223372036854775808'}), 150);
+
+    assert.strictEqual(row.a, '-1');
+    assert.strictEqual(row.d, '-9223372036854775808');
+    assert.strictEqual(row.ms, '76561198084749846');
+    assert.strictEqual(row.paintwear, Postgres.floatToPaintwear(0.22740158438682556));
+    assert.strictEqual(row.props, Postgres.storeProperties(8, 4, 5));
+    assert.strictEqual(row.price, 150);
+    assert.strictEqual(row.stickers, null);
+});
+
+test('encodeItem uses the market listing id for market items', () => {
+    const row = Postgres.encodeItem(item({s: '0', m: '625254122282020305'}));
+    assert.strictEqual(row.ms, '625254122282020305');
+    assert.strictEqual(row.price, null);
+});
+
+test('encodeItem skips items without a float except the 0 float Karambit', () => {
+    assert.strictEqual(Postgres.encodeItem(item({floatvalue: 0})), null);
+    assert.ok(Postgres.encodeItem(item({floatvalue: 0, defindex: 507})));
+});
+
+test('encodeItem marks duplicate stickers once', () => {
+    const stickers = [
+        {slot: 0, stickerId: 76, wear: 0.5},
+        {slot: 1, stickerId: 76},
+        {slot: 2, stickerId: 90, rotation: 15},
+    ];
+
+    const row = Postgres.encodeItem(item({stickers}));
+
+    assert.deepStrictEqual(row.stickers, [
+        {s: 0, i: 76, w: 0.5, d: 2},
+        {s: 1, i: 76},
+        {s: 2, i: 90, r: 15},
+    ]);
+});
+
+test('decodeRow restores the item info of the API', () => {
+    const source = item({
+        a: '13979935440474284543',
+        quality: 12,
+        killeatervalue: 10,
+        stickers: [{slot: 0, stickerId: 76, wear: 0.5}],
+    });
+
+    const row = Postgres.encodeItem(source);
+    const decoded = Postgres.decodeRow(Object.assign({}, row, {low_rank: '3', high_rank: '1001'}));
+
+    assert.strictEqual(decoded.a, '13979935440474284543');
+    assert.strictEqual(decoded.d, source.d);
+    assert.strictEqual(decoded.s, source.s);
+    assert.strictEqual(decoded.m, '0');
+    assert.strictEqual(decoded.floatvalue, Math.fround(source.floatvalue));
+    assert.strictEqual(decoded.quality, 12);
+    assert.strictEqual(decoded.origin, 8);
+    assert.strictEqual(decoded.rarity, 5);
+    // The kill count isn't stored
+    assert.strictEqual(decoded.killeatervalue, 0);
+    assert.strictEqual(decoded.low_rank, 3);
+    assert.ok(!('high_rank' in decoded));
+    assert.deepStrictEqual(decoded.stickers[0], {
+        stickerId: 76, slot: 0, wear: 0.5, rotation: undefined, offset_x: undefined, offset_y: undefined,
+    });
+
+    for (const key of ['ms', 'paintwear', 'props', 'stattrak', 'souvenir', 'price']) {
+        assert.ok(!(key in decoded), key);
+    }
+});
+
+test('decodeRow splits market listing ids', () => {
+    const decoded = Postgres.decodeRow(Postgres.encodeItem(item({s: '0', m: '625254122282020305'})));
+
+    assert.strictEqual(decoded.s, '0');
+    assert.strictEqual(decoded.m, '625254122282020305');
+    assert.strictEqual(decoded.killeatervalue, null);
+    assert.ok(!('low_rank' in decoded));
+});
+
+test('drops cached ranks when an item is written', async () => {
+    const storage = new Postgres('postgres://localhost/test', false, {enable: true});
+    const queries = [];
+
+    storage.pool = {
+        query: async (text) => {
+            queries.push(text);
+            return {rows: text.includes('low_rank') ? [{low_rank: '2', high_rank: '5'}] : []};
+        },
+    };
+
+    assert.deepStrictEqual(await storage.getItemRank('698323590'), {low_rank: 2, high_rank: 5});
+    await storage.getItemRank('698323590');
+    assert.strictEqual(queries.length, 1);
+
+    // A new item of the same skin shifts the ranks of the cached one
+    await storage.insertItemData(item({a: '698323591', paintseed: 1}));
+    await storage.getItemRank('698323590');
+
+    assert.strictEqual(queries.length, 3);
+    assert.match(queries[1], /INSERT INTO items/);
+});
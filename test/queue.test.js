@@ -0,0 +1,312 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    Queue = require('../lib/queue'),
+    Job = require('../lib/job'),
+    InspectURL = require('../lib/inspect_url'),
+    errors = require('../errors');
+
+// Stands in for the BotController, the queue only asks it for the amount of requests its bots can take
+function fakeController(ready) {
+    return {getCapacity: () => ready};
+}
+
+function createJob(ip, assetIds) {
+    const job = new Job({ip}, null, assetIds.length > 1);
+
+    for (const a of assetIds) {
+        job.add(new InspectURL('76561198084749846', a.toString(), '7935523998312483177', '0'));
+    }
+
+    return job;
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs the queue with the handler until the callback resolves
+async function withQueue(lanes, concurrency, handler, fn) {
+    const queue = new Queue(lanes);
+
+    try {
+        await fn(queue, () => queue.process(concurrency, fakeController(concurrency), handler));
+    } finally {
+        queue.stop();
+    }
+}
+
+test('emits retries and keeps the attempts of restored links', async () => {
+    const handler = async () => {
+        throw errors.TTLExceeded;
+    };
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        const retries = [];
+        queue.on('job retry', (entry) => retries.push(entry.attempts));
+
+        const job = createJob('127.0.0.1', [1]);
+        job.getRemainingLinks()[0].attempts = 1;
+
+        const failed = new Promise((resolve) => queue.once('job failed', resolve));
+        queue.addJob(job, 3);
+        run();
+
+        assert.strictEqual((await failed).attempts, 3);
+        assert.deepStrictEqual(retries, [2]);
+    });
+});
+
+test('retries a failing link until it succeeds', async () => {
+    let calls = 0;
+    const handler = async (entry) => {
+        calls++;
+        if (calls < 3) throw errors.TTLExceeded;
+        entry.data.job.setResponse(entry.data.link.getParams().a, {a: '1'});
+    };
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        const failed = [];
+        queue.on('job failed', (entry) => failed.push(entry));
+
+        run();
+
+        const job = createJob('127.0.0.1', [1]);
+        const complete = new Promise((resolve) => job.once('complete', resolve));
+        queue.addJob(job, 3);
+
+        assert.deepStrictEqual(await complete, {1: {a: '1'}});
+        assert.strictEqual(calls, 3);
+        assert.strictEqual(failed.length, 0);
+    });
+});
+
+test('emits job failed once max_attempts is reached', async () => {
+    const attempts = [];
+    const handler = async (entry) => {
+        attempts.push(entry.attempts);
+        throw errors.TTLExceeded;
+    };
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        run();
+
+        const failed = new Promise((resolve) => queue.once('job failed', (entry, err) => resolve([entry, err])));
+        queue.addJob(createJob('127.0.0.1', [1]), 3);
+
+        const [entry, err] = await failed;
+
+        assert.deepStrictEqual(attempts, [0, 1, 2]);
+        assert.strictEqual(entry.attempts, 3);
+        assert.strictEqual(err, errors.TTLExceeded);
+
+        assert.strictEqual(queue.size(), 0);
+        assert.strictEqual(queue.inflight.size, 0);
+        assert.strictEqual(queue.getUserQueuedAmt('127.0.0.1'), 0);
+    });
+});
+
+test('does not count attempts without a free bot', async () => {
+    let calls = 0;
+    const handler = async (entry) => {
+        calls++;
+        if (calls <= 2) throw errors.NoBotsAvailable;
+        entry.data.job.setResponseRemaining({a: '1'});
+    };
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        let failed = false;
+        queue.on('job failed', () => failed = true);
+
+        run();
+
+        const job = createJob('127.0.0.1', [1]);
+        const complete = new Promise((resolve) => job.once('complete', resolve));
+        queue.addJob(job, 1);
+
+        await complete;
+
+        assert.strictEqual(calls, 3);
+        assert.ok(!failed);
+    });
+});
+
+test('frees the queued amount of the user after the handler resolves', async () => {
+    let release;
+    const handler = () => new Promise((resolve) => release = resolve);
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        run();
+
+        queue.addJob(createJob('10.0.0.1', [1, 2]), 1);
+        assert.strictEqual(queue.getUserQueuedAmt('10.0.0.1'), 2);
+
+        release();
+        await wait(10);
+        assert.strictEqual(queue.getUserQueuedAmt('10.0.0.1'), 1);
+
+        release();
+        await wait(10);
+        assert.strictEqual(queue.getUserQueuedAmt('10.0.0.1'), 0);
+    });
+});
+
+test('never runs more handlers than the concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const handler = async (entry) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await wait(5);
+        running--;
+        entry.data.job.setResponse(entry.data.link.getParams().a, {});
+    };
+
+    await withQueue(null, 2, handler, async (queue, run) => {
+        run();
+
+        const job = createJob('127.0.0.1', [1, 2, 3, 4, 5, 6]);
+        const complete = new Promise((resolve) => job.once('complete', resolve));
+        queue.addJob(job, 1);
+
+        await complete;
+        assert.strictEqual(maxRunning, 2);
+    });
+});
+
+test('identical links share a single lookup', async () => {
+    let calls = 0;
+    let release;
+
+    const handler = (entry) => {
+        calls++;
+        return new Promise((resolve) => release = () => {
+            for (const link of entry.links) {
+                link.job.setResponse(link.link.getParams().a, {a: '1'});
+            }
+            resolve();
+        });
+    };
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        run();
+
+        const first = createJob('10.0.0.1', [1]);
+        const second = createJob('10.0.0.2', [1]);
+
+        queue.addJob(first, 1);
+        queue.addJob(second, 1);
+
+        assert.strictEqual(queue.dedupHits, 1);
+        assert.strictEqual(queue.getUserQueuedAmt('10.0.0.2'), 1);
+
+        release();
+        await wait(10);
+
+        assert.strictEqual(calls, 1);
+        assert.ok(first.isComplete);
+        assert.ok(second.isComplete);
+        assert.strictEqual(queue.getUserQueuedAmt('10.0.0.2'), 0);
+    });
+});
+
+test('dequeues lanes proportionally to their weight', async () => {
+    const order = [];
+    const handler = async (entry) => {
+        order.push(entry.lane);
+    };
+
+    await withQueue({high: {weight: 3}, low: {weight: 1}}, 1, handler, async (queue, run) => {
+        queue.addJob(createJob('127.0.0.1', [1, 2, 3, 4, 5, 6]), 1, 'high');
+        queue.addJob(createJob('127.0.0.1', [7, 8, 9]), 1, 'low');
+
+        run();
+        await wait(20);
+
+        assert.deepStrictEqual(order, ['high', 'high', 'low', 'high', 'high', 'high', 'low', 'high', 'low']);
+        assert.strictEqual(queue.getLaneStats().high.processed, 6);
+    });
+});
+
+test('drains the queue before the timeout', async () => {
+    const handler = async (entry) => {
+        await wait(20);
+        entry.data.job.setResponse(entry.data.link.getParams().a, {});
+    };
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        run();
+        queue.addJob(createJob('127.0.0.1', [1, 2, 3]), 1);
+
+        assert.ok(await queue.drain(1000));
+        assert.strictEqual(queue.inflight.size, 0);
+        assert.strictEqual(queue.getUserQueuedAmt('127.0.0.1'), 0);
+    });
+});
+
+test('clears the entries left after the drain timeout', async () => {
+    let release;
+    const blocked = new Promise((resolve) => release = resolve);
+    const handler = (entry) => blocked.then(() => entry.data.job.setResponse(entry.data.link.getParams().a, {}));
+
+    await withQueue(null, 1, handler, async (queue, run) => {
+        run();
+        queue.addJob(createJob('127.0.0.1', [1, 2]), 1);
+
+        assert.ok(!await queue.drain(150));
+
+        const entries = queue.clear();
+        assert.deepStrictEqual(entries.map((e) => e.data.link.getParams().a).sort(), ['1', '2']);
+        assert.strictEqual(queue.size(), 0);
+        assert.strictEqual(queue.getUserQueuedAmt('127.0.0.1'), 0);
+
+        // The processing entry finishing later doesn't change the cleared counts
+        release();
+        await wait(20);
+        assert.strictEqual(queue.getUserQueuedAmt('127.0.0.1'), 0);
+    });
+});
+
+test('only accepts its own lanes', () => {
+    const queue = new Queue();
+
+    assert.ok(queue.hasLane('bulk'));
+    assert.ok(!queue.hasLane('constructor'));
+    assert.ok(!queue.hasLane('toString'));
+
+    queue.addJob(createJob('127.0.0.1', [1]), 1, 'toString');
+    assert.strictEqual(queue.getLaneStats().interactive.depth, 1);
+});
+
+test('removes the links of a cancelled job', () => {
+    const queue = new Queue();
+    const first = createJob('10.0.0.1', [1, 2]);
+    const second = createJob('10.0.0.2', [2]);
+
+    queue.addJob(first, 1);
+    queue.addJob(second, 1);
+    queue.removeJob(first);
+
+    assert.strictEqual(queue.size(), 1);
+    assert.deepStrictEqual([...queue.inflight.keys()], ['2']);
+    assert.deepStrictEqual(queue.inflight.get('2').links.map((l) => l.job), [second]);
+    assert.strictEqual(queue.getUserQueuedAmt('10.0.0.1'), 0);
+    assert.strictEqual(queue.getUserQueuedAmt('10.0.0.2'), 1);
+});
+
+test('moves a waiting lookup to the lane of a higher priority duplicate', () => {
+    const queue = new Queue();
+
+    queue.addJob(createJob('10.0.0.1', [1, 2]), 1, 'bulk');
+    queue.addJob(createJob('10.0.0.2', [2]), 1, 'interactive');
+
+    const stats = queue.getLaneStats();
+    assert.strictEqual(stats.interactive.depth, 1);
+    assert.strictEqual(stats.bulk.depth, 1);
+    assert.strictEqual(queue.inflight.get('2').lane, 'interactive');
+
+    // Lower priority duplicates leave the entry where it is
+    queue.addJob(createJob('10.0.0.3', [2]), 1, 'background');
+    assert.strictEqual(queue.inflight.get('2').lane, 'interactive');
+    assert.strictEqual(queue.dedupHits, 2);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    search = require('../lib/search');
+
+test('parses the filters of a search body', () => {
+    const query = search.parseSearchQuery({
+        filters: {defindex: 7, paintindex: 282, paintseed: [1, 1000], stickers: [76], float_max: 0.07, stattrak: true},
+        limit: 50,
+    });
+
+    assert.deepStrictEqual(query, {
+        limit: 50, defindex: 7, paintindex: 282, paintseeds: [1, 1000], stickers: [76], float_max: 0.07, stattrak: true,
+    });
+});
+
+test('rejects values outside of the range of their column', () => {
+    for (const filters of [
+        {paintseed: 99999},
+        {paintseed: [1, 32768]},
+        {defindex: 32768},
+        {paintindex: -1},
+        {stickers: [4294967296]},
+        {keychains: [1.5]},
+    ]) {
+        assert.strictEqual(search.parseSearchQuery({filters}), undefined, JSON.stringify(filters));
+    }
+
+    assert.ok(search.parseSearchQuery({filters: {paintseed: 32767, defindex: 32767}}));
+});
+
+test('round trips cursors', () => {
+    const cursor = search.encodeCursor(1032132832, '-18971892678');
+
+    assert.deepStrictEqual(search.decodeCursor(cursor), {paintwear: 1032132832, a: '-18971892678'});
+    assert.strictEqual(search.decodeCursor('not a cursor'), undefined);
+    assert.strictEqual(search.parseSearchQuery({cursor: 'not a cursor'}), undefined);
+});
+
+test('rejects cursors outside of the range of their columns', () => {
+    for (const [paintwear, a] of [
+        [2147483648, '1'],
+        [-2147483649, '1'],
+        [1, '9223372036854775808'],
+        [1, '-9223372036854775809'],
+    ]) {
+        const cursor = search.encodeCursor(paintwear, a);
+
+        assert.strictEqual(search.decodeCursor(cursor), undefined, `${paintwear} ${a}`);
+        assert.strictEqual(search.parseSearchQuery({cursor}), undefined);
+    }
+
+    assert.ok(search.decodeCursor(search.encodeCursor(-2147483648, '-9223372036854775808')));
+    assert.ok(search.decodeCursor(search.encodeCursor(2147483647, '9223372036854775807')));
+});
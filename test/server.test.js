@@ -0,0 +1,126 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    net = require('net'),
+    childProcess = require('child_process');
+
+// Scripted replies of the mock GC, other assets get a generated item
+const FIXTURES = {
+    '1000': {paintseed: 42, paintwear: 0.01},
+    '1001': {mock: {outcome: 'timeout'}},
+    '1002': {paintseed: 7, mock: {outcome: 'timeout', failures: 1}},
+    '1003': {mock: {outcome: 'no_reply'}},
+};
+
+function inspectLink(a) {
+    return `steam://rungame/730/76561202255233023/+csgo_econ_action_preview%20S76561198084749846A${a}D7935523998312483177`;
+}
+
+function freePort() {
+    return new Promise((resolve) => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(fn, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+        try {
+            if (await fn()) return;
+        } catch (e) {
+            // Not listening yet
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    throw new Error('Timed out waiting for the server');
+}
+
+// Runs index.js against the mock GC in a temporary directory until the test ends
+async function startServer(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csgofloat-'));
+    const port = await freePort();
+
+    fs.writeFileSync(path.join(dir, 'fixtures.json'), JSON.stringify(FIXTURES));
+    fs.writeFileSync(path.join(dir, 'config.js'), `module.exports = ${JSON.stringify({
+        http: {port},
+        logins: [{user: 'bot_a', pass: 'x'}, {user: 'bot_b', pass: 'x'}],
+        bot_settings: {max_attempts: 2, request_delay: 10, request_ttl: 500, steam_user: {}},
+        allowed_origins: [],
+        allowed_regex_origins: [],
+        logging: {directory: path.join(dir, 'logs'), level: 'error', fileOutput: false},
+        max_simultaneous_requests: -1,
+        enable_game_file_updates: false,
+        database_url: '',
+        bulk_key: '',
+        price_key: '',
+        mock_gc: {
+            enable: true, fixtures: path.join(dir, 'fixtures.json'), login_delay: 20, latency: 20, latency_jitter: 0,
+            timeout_delay: 50,
+        },
+    })};`);
+
+    const server = childProcess.spawn(process.execPath, [path.join(__dirname, '..', 'index.js'), '-c',
+        path.join(dir, 'config.js')], {cwd: dir, stdio: 'ignore'});
+
+    t.after(async () => {
+        if (server.exitCode === null) {
+            const exited = new Promise((resolve) => server.once('exit', resolve));
+            server.kill('SIGTERM');
+            await exited;
+        }
+
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+    await waitFor(async () => (await (await fetch(`${url}/stats`)).json()).bots_online === 2, 15000);
+
+    return url;
+}
+
+test('inspects items through the mock GC', async (t) => {
+    const url = await startServer(t);
+
+    await t.test('GET / replies with the fixture item', async () => {
+        const res = await fetch(`${url}/?url=${inspectLink(1000)}`);
+        const {iteminfo} = await res.json();
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(iteminfo.a, '1000');
+        assert.strictEqual(iteminfo.paintseed, 42);
+        assert.strictEqual(iteminfo.floatvalue, 0.01);
+    });
+
+    await t.test('GET / reports an asset that keeps timing out', async () => {
+        const res = await fetch(`${url}/?url=${inspectLink(1001)}`);
+
+        assert.strictEqual(res.status, 500);
+        assert.strictEqual((await res.json()).code, 4);
+    });
+
+    await t.test('POST /bulk retries failed assets and answers each link', async () => {
+        const links = [1000, 1002, 1003, 2000].map((a) => ({link: decodeURIComponent(inspectLink(a))}));
+        const res = await fetch(`${url}/bulk`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({links}),
+        });
+        const results = await res.json();
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(results['1000'].paintseed, 42);
+        // Timed out once, then replied to on the retry
+        assert.strictEqual(results['1002'].paintseed, 7);
+        // Never replied to, the bot gave up after request_ttl
+        assert.strictEqual(results['1003'].code, 4);
+        assert.strictEqual(results['2000'].a, '2000');
+    });
+});
@@ -0,0 +1,153 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    net = require('net'),
+    SteamGuardPoller = require('../lib/steam_guard_poller'),
+    ImapClient = require('../lib/imap_client');
+
+const CONFIG = {
+    host: '127.0.0.1', tls: false, user: 'bots@example.com', pass: 'secret', mailbox: 'INBOX',
+    from: 'noreply@steampowered.com', poll_interval: 1000, timeout: 60000,
+};
+
+function imapDate(date) {
+    return `${ImapClient.formatDate(date)} ${date.toISOString().slice(11, 19)} +0000`;
+}
+
+function steamMail(username, code, encoding) {
+    const text = `Dear ${username},\r\n\r\nHere is the Steam Guard code you need to login to account ` +
+        `${username}:\r\n\r\n${code}\r\n\r\nThe Steam Team=\r\n`;
+    const html = `<p>Dear ${username},</p><p>Here is the Steam Guard code you need to login to account ` +
+        `${username}:</p><table><tr><td class="title-48">${code}</td></tr></table>`;
+    const body = encoding === 'base64' ? Buffer.from(html).toString('base64') : text;
+
+    return 'From: Steam Support <noreply@steampowered.com>\r\n' +
+        'Content-Type: multipart/alternative;\r\n boundary="b1"\r\n\r\n' +
+        '--b1\r\n' +
+        (encoding === 'base64' ? 'Content-Type: text/html\r\nContent-Transfer-Encoding: base64\r\n\r\n'
+            : 'Content-Type: text/plain; charset=utf-8\r\nContent-Transfer-Encoding: quoted-printable\r\n\r\n') +
+        `${body}\r\n--b1--\r\n`;
+}
+
+// Local IMAP stand-in serving the mails, answering only the commands the client sends
+async function imapServer(t, mails) {
+    const commands = [];
+
+    const server = net.createServer((socket) => {
+        socket.write('* OK IMAP4rev1 ready\r\n');
+
+        let buffer = '';
+        socket.on('data', (data) => {
+            buffer += data;
+
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                const [tag, ...words] = line.split(' ');
+                const command = words.slice(0, words[0] === 'UID' ? 2 : 1).join(' ');
+                commands.push(command);
+
+                if (command === 'LOGIN' && words[2] !== '"secret"') {
+                    socket.write(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+                } else if (command === 'UID SEARCH') {
+                    socket.write(`* SEARCH ${mails.map((m, i) => i + 1).join(' ')}\r\n${tag} OK SEARCH completed\r\n`);
+                } else if (command === 'UID FETCH') {
+                    const uid = parseInt(words[2]), mail = mails[uid - 1];
+                    const source = Buffer.from(mail.source);
+
+                    socket.write(`* ${uid} FETCH (UID ${uid} INTERNALDATE "${imapDate(mail.date)}" ` +
+                        `BODY[] {${source.length}}\r\n`);
+                    socket.write(Buffer.concat([source, Buffer.from(`)\r\n${tag} OK FETCH completed\r\n`)]));
+                } else if (command === 'LOGOUT') {
+                    socket.end(`* BYE\r\n${tag} OK LOGOUT completed\r\n`);
+                } else {
+                    socket.write(`${tag} OK ${command} completed\r\n`);
+                }
+            }
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    return {port: server.address().port, commands};
+}
+
+function fakeController(pending) {
+    return {
+        pendingAuthBots: new Map(Object.entries(pending).map(([username, timestamp]) => [username, {timestamp}])),
+        submitted: [],
+        retryBotWithAuthCode(username, code) {
+            this.submitted.push([username, code]);
+            return true;
+        },
+    };
+}
+
+test('submits the emailed code of a waiting bot', async (t) => {
+    const now = Date.now();
+    const {port, commands} = await imapServer(t, [
+        {source: steamMail('bot_b', 'OLD12'), date: new Date(now - 60 * 60 * 1000)},
+        {source: steamMail('other', 'ZZZ99'), date: new Date(now)},
+        {source: steamMail('bot_a', 'F4K2B'), date: new Date(now)},
+        {source: steamMail('bot_b', 'H7J3C', 'base64'), date: new Date(now)},
+    ]);
+
+    const controller = fakeController({bot_a: now - 1000, bot_b: now - 1000, bot_c: now - 1000});
+    const poller = new SteamGuardPoller(Object.assign({}, CONFIG, {port}), controller);
+    const codes = [];
+    poller.on('code', (username) => codes.push(username));
+
+    await poller.poll();
+
+    assert.deepStrictEqual(controller.submitted, [['bot_a', 'F4K2B'], ['bot_b', 'H7J3C']]);
+    assert.deepStrictEqual(codes, ['bot_a', 'bot_b']);
+    assert.ok(commands.includes('LOGIN') && commands.includes('LOGOUT'));
+
+    // Mails are only read once
+    await poller.poll();
+    assert.strictEqual(commands.filter((c) => c === 'UID FETCH').length, 4);
+    assert.strictEqual(controller.submitted.length, 2);
+});
+
+test('only reads the code at its place in the Steam mail template', () => {
+    const poller = new SteamGuardPoller(CONFIG, fakeController({}));
+    const waiting = [{username: 'bot_a', since: Date.now() - 1000}];
+    const mail = (text) => ({uid: 1, date: new Date(), source: `Content-Type: text/plain\r\n\r\n${text}`});
+
+    // A short uppercase line without the template
+    poller.readMail(mail('STEAM\r\n\r\nDear bot_a,\r\n\r\nABCDE\r\n'), waiting);
+    assert.deepStrictEqual(poller.controller.submitted, []);
+
+    poller.readMail(mail('STEAM\r\n\r\nDear bot_a,\r\n\r\nHere is the Steam Guard code you need to login to account ' +
+        'bot_a:\r\n\r\n  F4K2B\r\n\r\nVALVE\r\n'), waiting);
+    assert.deepStrictEqual(poller.controller.submitted, [['bot_a', 'F4K2B']]);
+});
+
+test('gives up on bots waiting longer than the timeout', async () => {
+    const controller = fakeController({bot_a: Date.now() - 120000});
+    let connections = 0;
+
+    const poller = new SteamGuardPoller(CONFIG, controller, () => connections++);
+    const timeouts = [];
+    poller.on('timeout', (username, waited) => timeouts.push([username, waited >= 120000]));
+
+    await poller.poll();
+    await poller.poll();
+
+    assert.deepStrictEqual(timeouts, [['bot_a', true]]);
+    assert.strictEqual(connections, 0);
+
+    // A new prompt is waited for again
+    controller.pendingAuthBots.get('bot_a').timestamp = Date.now();
+    assert.deepStrictEqual(poller.getWaiting().map((b) => b.username), ['bot_a']);
+});
+
+test('rejects when the mailbox refuses the login', async (t) => {
+    const {port} = await imapServer(t, []);
+    const config = Object.assign({}, CONFIG, {port, pass: 'wrong'});
+    const poller = new SteamGuardPoller(config, fakeController({a: Date.now()}));
+
+    await assert.rejects(poller.poll(), /AUTHENTICATIONFAILED/);
+});
@@ -0,0 +1,70 @@
+/* global BigInt */
+
+const test = require('node:test'),
+    assert = require('assert'),
+    utils = require('../lib/utils');
+
+const MAX_UNSIGNED = '18446744073709551615';
+const MAX_SIGNED = '9223372036854775807';
+const MIN_SIGNED = '-9223372036854775808';
+
+test('unsigned64ToSigned keeps values below 2^63', () => {
+    assert.strictEqual(utils.unsigned64ToSigned('0'), 0n);
+    assert.strictEqual(utils.unsigned64ToSigned('698323590'), 698323590n);
+    assert.strictEqual(utils.unsigned64ToSigned(MAX_SIGNED), BigInt(MAX_SIGNED));
+});
+
+test('unsigned64ToSigned wraps values from 2^63', () => {
+    assert.strictEqual(utils.unsigned64ToSigned('9223372036854775808'), BigInt(MIN_SIGNED));
+    assert.strictEqual(utils.unsigned64ToSigned(MAX_UNSIGNED), -1n);
+});
+
+test('signed64ToUnsigned reverses unsigned64ToSigned', () => {
+    assert.strictEqual(utils.signed64ToUnsigned('-1'), BigInt(MAX_UNSIGNED));
+    assert.strictEqual(utils.signed64ToUnsigned(MIN_SIGNED), 9223372036854775808n);
+
+    const ids = ['0', '1', '698323590', '7935523998312483177', MAX_SIGNED, '9223372036854775808',
+        '13979935440474284543', MAX_UNSIGNED];
+
+    for (const id of ids) {
+        assert.strictEqual(utils.signed64ToUnsigned(utils.unsigned64ToSigned(id)).toString(), id);
+    }
+});
+
+test('accepts numbers, strings and BigInts', () => {
+    assert.strictEqual(utils.unsigned64ToSigned(5), 5n);
+    assert.strictEqual(utils.signed64ToUnsigned(-5n), 18446744073709551611n);
+});
+
+test('isSteamId64 distinguishes steam ids from market listing ids', () => {
+    assert.ok(utils.isSteamId64('76561198084749846'));
+    assert.ok(utils.isSteamId64('76561202255233023'));
+    assert.ok(!utils.isSteamId64('625254122282020305'));
+    assert.ok(!utils.isSteamId64('7935523998312483177'));
+});
+
+test('isOnlyDigits', () => {
+    assert.ok(utils.isOnlyDigits('0123'));
+    assert.ok(!utils.isOnlyDigits(''));
+    assert.ok(!utils.isOnlyDigits('-1'));
+    assert.ok(!utils.isOnlyDigits('1.5'));
+    assert.ok(!utils.isOnlyDigits('12\n'));
+});
+
+test('isUnsigned64 accepts digits up to 2^64-1', () => {
+    assert.ok(utils.isUnsigned64('0'));
+    assert.ok(utils.isUnsigned64(MAX_UNSIGNED));
+    assert.ok(!utils.isUnsigned64('18446744073709551616'));
+    assert.ok(!utils.isUnsigned64('99999999999999999999999'));
+    assert.ok(!utils.isUnsigned64('-1'));
+});
+
+test('filterKeys and removeNullValues', () => {
+    assert.deepStrictEqual(utils.filterKeys(['a', 'c'], {a: 1, b: 2, c: null}), {a: 1, c: null});
+    assert.deepStrictEqual(utils.removeNullValues({a: 1, b: null, c: 0, d: undefined}), {a: 1, c: 0, d: undefined});
+});
+
+test('chunkArray', () => {
+    assert.deepStrictEqual(utils.chunkArray([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.deepStrictEqual(utils.chunkArray([], 2), []);
+});
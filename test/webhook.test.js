@@ -0,0 +1,119 @@
+const test = require('node:test'),
+    assert = require('assert'),
+    http = require('http'),
+    Webhook = require('../lib/webhook');
+
+// The receivers listen on loopback
+const LOCAL = {allow_private: true};
+
+// Local receiver answering each delivery with the next status code, 200 once they run out
+async function receiver(t, statuses = []) {
+    const deliveries = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (data) => body += data);
+        req.on('end', () => {
+            deliveries.push({body, signature: req.headers['x-signature'], time: Date.now()});
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    return {url: `http://127.0.0.1:${server.address().port}/callback`, deliveries};
+}
+
+test('signs the body with the secret', async (t) => {
+    const {url, deliveries} = await receiver(t);
+    const webhook = new Webhook(url, 'secret', LOCAL);
+
+    assert.ok(await webhook.deliver({id: 'a', batch: 0}));
+
+    const {body, signature} = deliveries[0];
+    assert.deepStrictEqual(JSON.parse(body), {id: 'a', batch: 0});
+    assert.strictEqual(signature, 'sha256=' + Webhook.sign(body, 'secret'));
+});
+
+test('does not sign without a secret', async (t) => {
+    const {url, deliveries} = await receiver(t);
+
+    assert.ok(await new Webhook(url, null, LOCAL).deliver({}));
+    assert.strictEqual(deliveries[0].signature, undefined);
+});
+
+test('retries 5xx and 429 replies with exponential backoff', async (t) => {
+    const {url, deliveries} = await receiver(t, [500, 429, 503]);
+    const webhook = new Webhook(url, null, {max_attempts: 4, retry_delay: 20, allow_private: true});
+
+    assert.ok(await webhook.deliver({}));
+    assert.strictEqual(deliveries.length, 4);
+
+    const gaps = deliveries.slice(1).map((d, i) => d.time - deliveries[i].time);
+    assert.ok(gaps[0] >= 20 && gaps[1] >= 40 && gaps[2] >= 80, `unexpected gaps ${gaps}`);
+});
+
+test('gives up after the max attempts', async (t) => {
+    const {url, deliveries} = await receiver(t, [500, 500, 500]);
+    const webhook = new Webhook(url, null, {max_attempts: 2, retry_delay: 1, allow_private: true});
+
+    assert.ok(!await webhook.deliver({}));
+    assert.strictEqual(deliveries.length, 2);
+});
+
+test('does not retry other 4xx replies', async (t) => {
+    const {url, deliveries} = await receiver(t, [404]);
+    const webhook = new Webhook(url, null, {max_attempts: 3, retry_delay: 1, allow_private: true});
+
+    assert.ok(!await webhook.deliver({}));
+    assert.strictEqual(deliveries.length, 1);
+});
+
+test('retries network errors', async () => {
+    // Nothing listens on the port of a closed server
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+    await new Promise((resolve) => server.close(resolve));
+
+    const webhook = new Webhook(`http://127.0.0.1:${port}/`, null,
+        {max_attempts: 2, retry_delay: 1, allow_private: true});
+    assert.ok(!await webhook.deliver({}));
+});
+
+test('sends batches in order, after a retried batch is delivered', async (t) => {
+    const {url, deliveries} = await receiver(t, [500]);
+    const webhook = new Webhook(url, null, {max_attempts: 3, retry_delay: 20, allow_private: true});
+
+    webhook.send({batch: 0, final: false});
+    webhook.send({batch: 1, final: false});
+    assert.ok(await webhook.send({batch: 2, final: true}));
+
+    assert.deepStrictEqual(deliveries.map((d) => JSON.parse(d.body).batch), [0, 0, 1, 2]);
+});
+
+test('does not deliver to private addresses unless allowed', async (t) => {
+    const {url, deliveries} = await receiver(t);
+    const port = new URL(url).port;
+
+    // Resolved when delivering, localhost is loopback
+    assert.ok(!await new Webhook(`http://localhost:${port}/`, null, {max_attempts: 3, retry_delay: 1}).deliver({}));
+    assert.ok(!await new Webhook(url, null, {max_attempts: 3, retry_delay: 1}).deliver({}));
+    assert.strictEqual(deliveries.length, 0);
+
+    assert.ok(await new Webhook(`http://localhost:${port}/`, null, LOCAL).deliver({}));
+    assert.strictEqual(deliveries.length, 1);
+});
+
+test('only accepts callback URLs of public hosts', () => {
+    for (const url of ['http://127.0.0.1/', 'http://[::1]:8080/', 'http://localhost/', 'http://10.0.0.5/',
+        'http://192.168.1.1/', 'http://169.254.169.254/latest/meta-data', 'http://2130706433/', 'ftp://example.com/']) {
+        assert.ok(!Webhook.isAllowedUrl(url), url);
+    }
+
+    assert.ok(Webhook.isAllowedUrl('https://example.com/callback'));
+    assert.ok(Webhook.isAllowedUrl('http://8.8.8.8/'));
+    assert.ok(Webhook.isAllowedUrl('http://127.0.0.1/', true));
+});